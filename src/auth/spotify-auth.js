@@ -1,13 +1,46 @@
 const SpotifyWebApi = require('spotify-web-api-node');
 const express = require('express');
 const crypto = require('crypto');
+const readline = require('readline');
 const { exec } = require('child_process');
+const TokenStore = require('./token-store');
+const ApiClient = require('../spotify/api-client');
+
+const AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+
+// Required scopes
+const SCOPES = [
+  'user-follow-read',       // Access to followed artists
+  'user-library-read',      // Access to saved tracks
+  'playlist-modify-private', // Create and modify private playlists
+  'playlist-read-private',  // Read user's private playlists
+  'user-top-read',          // Access to top artists
+  'user-read-recently-played' // Access to recently played tracks
+];
+
+/**
+ * Create an error meaning the user has to log in again, mapped to the authentication failure exit code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status of the failed request (optional)
+ * @returns {Error} Error with code AUTH_FAILED
+ */
+const authFailure = (message, statusCode) => {
+  const error = new Error(message);
+  error.code = 'AUTH_FAILED';
+  if (statusCode) {
+    error.statusCode = statusCode;
+  }
+  return error;
+};
 
 class SpotifyAuth {
-  constructor() {
+  constructor(options = {}) {
     this.clientId = process.env.SPOTIFY_CLIENT_ID;
     this.clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
     this.redirectUri = process.env.REDIRECT_URI || 'http://127.0.0.1:8888/callback';
+    this.usePkce = options.usePkce !== undefined ? options.usePkce : !this.clientSecret;
+    this.callbackPort = parseInt(process.env.CALLBACK_PORT, 10) || this.getRedirectPort();
     
     this.spotifyApi = new SpotifyWebApi({
       clientId: this.clientId,
@@ -15,7 +48,18 @@ class SpotifyAuth {
       redirectUri: this.redirectUri
     });
 
+    this.scopes = options.scopes || SCOPES;
+    this.tokenStore = options.tokenStore || new TokenStore();
+    this.showDialog = options.showDialog === true; // Force the account picker, e.g. for extra profiles
+    this.apiClient = new ApiClient(this, {
+      onTokenRefresh: options.onTokenRefresh,
+      rateLimiter: options.rateLimiter
+    });
+
+    this.tokens = null;
+    this.refreshPromise = null;
     this.state = null;
+    this.codeVerifier = null;
     this.server = null;
   }
 
@@ -27,23 +71,237 @@ class SpotifyAuth {
   }
 
   /**
-   * Start the OAuth authentication flow
+   * Get the port the redirect URI points at
+   * @returns {number} Port from REDIRECT_URI, or the protocol default
+   */
+  getRedirectPort() {
+    const url = new URL(this.redirectUri);
+    if (url.port) {
+      return parseInt(url.port, 10);
+    }
+    return url.protocol === 'https:' ? 443 : 80;
+  }
+
+  /**
+   * Generate a PKCE code verifier (43-128 characters, RFC 7636)
+   * @returns {string} Random base64url code verifier
+   */
+  generateCodeVerifier() {
+    return crypto.randomBytes(64).toString('base64url');
+  }
+
+  /**
+   * Derive the S256 code challenge for a code verifier
+   * @param {string} codeVerifier - PKCE code verifier
+   * @returns {string} Base64url-encoded SHA-256 hash of the verifier
+   */
+  generateCodeChallenge(codeVerifier) {
+    return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  }
+
+  /**
+   * Build the authorization URL for the configured flow
+   * @returns {string} Spotify authorization URL
+   */
+  createAuthorizeUrl() {
+    if (!this.usePkce) {
+      return this.spotifyApi.createAuthorizeURL(this.scopes, this.state, this.showDialog);
+    }
+
+    this.codeVerifier = this.generateCodeVerifier();
+
+    const params = new URLSearchParams({
+      client_id: this.clientId,
+      response_type: 'code',
+      redirect_uri: this.redirectUri,
+      code_challenge_method: 'S256',
+      code_challenge: this.generateCodeChallenge(this.codeVerifier),
+      state: this.state,
+      scope: this.scopes.join(' ')
+    });
+
+    if (this.showDialog) {
+      params.set('show_dialog', 'true');
+    }
+
+    return `${AUTHORIZE_URL}?${params.toString()}`;
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {string} code - Authorization code from the callback
+   * @returns {Promise<Object>} Token response body
+   */
+  async exchangeCode(code) {
+    if (!this.usePkce) {
+      const data = await this.spotifyApi.authorizationCodeGrant(code);
+      return data.body;
+    }
+
+    return this.requestToken({
+      grant_type: 'authorization_code',
+      code: code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: this.codeVerifier
+    });
+  }
+
+  /**
+   * Request new tokens with a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} Token response body
+   */
+  async requestRefresh(refreshToken) {
+    if (!this.usePkce) {
+      this.spotifyApi.setRefreshToken(refreshToken);
+      const data = await this.spotifyApi.refreshAccessToken();
+      return data.body;
+    }
+
+    return this.requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      client_id: this.clientId
+    });
+  }
+
+  /**
+   * Call the accounts token endpoint without a client secret (PKCE)
+   * @param {Object} params - Form parameters
+   * @returns {Promise<Object>} Token response body
+   */
+  async requestToken(params) {
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(body.error_description || body.error || `Token request failed with status ${response.status}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+
+    return body;
+  }
+
+  /**
+   * Authenticate using stored tokens, falling back to the browser flow
+   * @param {Object} options - Authentication options
+   * @param {boolean} options.headless - Paste the redirect URL instead of running a callback server
+   * @param {boolean} options.forceLogin - Ignore stored tokens and log in again
+   * @param {boolean} options.allowLogin - Start a new login when stored tokens are unusable (default: true)
+   * @returns {Promise<Object>} Authentication result with tokens and API instance
+   */
+  async authenticate(options = {}) {
+    const storedTokens = options.forceLogin ? null : this.tokenStore.load();
+
+    if (storedTokens) {
+      const restored = await this.restoreSession(storedTokens);
+      if (restored) {
+        return restored;
+      }
+    }
+
+    if (options.allowLogin === false) {
+      throw authFailure('No usable stored credentials. Run "auth login" first');
+    }
+
+    const result = options.headless
+      ? await this.authorizeHeadless()
+      : await this.authorizeInBrowser();
+    this.tokens = {
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresAt: result.expiresAt,
+      scopes: result.scopes
+    };
+    this.saveTokens(this.tokens);
+
+    return { ...result, spotifyApi: this.apiClient.api };
+  }
+
+  /**
+   * Reuse stored tokens, refreshing the access token if it has expired
+   * @param {Object} storedTokens - Tokens loaded from the token store
+   * @returns {Promise<Object|null>} Authentication result, or null if a new login is required
+   */
+  async restoreSession(storedTokens) {
+    if (!this.hasRequiredScopes(storedTokens.scopes)) {
+      console.log('🔑 Requested permissions have changed, a new login is required');
+      return null;
+    }
+
+    this.spotifyApi.setAccessToken(storedTokens.accessToken);
+    this.spotifyApi.setRefreshToken(storedTokens.refreshToken);
+
+    const tokens = { ...storedTokens };
+
+    try {
+      const refreshed = await this.refreshTokenIfNeeded(tokens.refreshToken, tokens.expiresAt);
+
+      if (refreshed) {
+        Object.assign(tokens, refreshed);
+        this.saveTokens(tokens);
+      }
+    } catch (error) {
+      // Network errors and outages are not a reason to log in again
+      if (error.code !== 'AUTH_FAILED') {
+        throw error;
+      }
+      console.log(`⚠️  ${error.message}. A new login is required`);
+      return null;
+    }
+
+    console.log('🔐 Using stored Spotify credentials');
+    this.tokens = tokens;
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: Math.max(0, Math.round((tokens.expiresAt - Date.now()) / 1000)),
+      expiresAt: tokens.expiresAt,
+      scopes: tokens.scopes,
+      spotifyApi: this.apiClient.api
+    };
+  }
+
+  /**
+   * Check whether previously granted scopes cover everything we request
+   * @param {Array} grantedScopes - Scopes stored alongside the tokens
+   * @returns {boolean} True if no additional scopes are needed
+   */
+  hasRequiredScopes(grantedScopes = []) {
+    return this.scopes.every(scope => grantedScopes.includes(scope));
+  }
+
+  /**
+   * Persist tokens so later runs can skip the browser flow
+   * @param {Object} tokens - Tokens with accessToken, refreshToken, expiresAt and scopes
    */
-  async authenticate() {
+  saveTokens(tokens) {
+    try {
+      this.tokenStore.save(tokens);
+    } catch (error) {
+      console.warn(`⚠️  Could not save credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run the OAuth authorization code flow in the browser
+   * @returns {Promise<Object>} Authentication result with tokens and API instance
+   */
+  async authorizeInBrowser() {
     return new Promise((resolve, reject) => {
       // Generate state for CSRF protection
       this.state = this.generateState();
 
-      // Required scopes
-      const scopes = [
-        'user-follow-read',       // Access to followed artists
-        'user-library-read',      // Access to saved tracks
-        'playlist-modify-private', // Create and modify private playlists
-        'playlist-read-private'   // Read user's private playlists
-      ];
-
       // Create authorization URL
-      const authUrl = this.spotifyApi.createAuthorizeURL(scopes, this.state);
+      const authUrl = this.createAuthorizeUrl();
 
       console.log('🔐 Starting Spotify authentication...');
       console.log('Opening browser for authorization...');
@@ -51,7 +309,7 @@ class SpotifyAuth {
       // Set up callback server
       const app = express();
       
-      app.get('/callback', async (req, res) => {
+      app.get(new URL(this.redirectUri).pathname, async (req, res) => {
         const { code, state: returnedState, error } = req.query;
 
         // Handle user denial
@@ -62,7 +320,7 @@ class SpotifyAuth {
             <p>Please close this window and try again.</p>
           `);
           this.cleanup();
-          return reject(new Error(`Authorization failed: ${error}`));
+          return reject(authFailure(`Authorization failed: ${error}`));
         }
 
         // Verify state parameter (CSRF protection)
@@ -77,16 +335,7 @@ class SpotifyAuth {
         }
 
         try {
-          // Exchange authorization code for access token
-          const data = await this.spotifyApi.authorizationCodeGrant(code);
-          const { access_token, refresh_token, expires_in } = data.body;
-
-          // Set the access token on the API object
-          this.spotifyApi.setAccessToken(access_token);
-          this.spotifyApi.setRefreshToken(refresh_token);
-
-          // Calculate expiration time
-          const expiresAt = Date.now() + (expires_in * 1000);
+          const result = await this.completeAuthorization(code);
 
           res.send(`
             <h1>✅ Authorization Successful!</h1>
@@ -95,14 +344,7 @@ class SpotifyAuth {
           `);
 
           this.cleanup();
-          
-          resolve({
-            accessToken: access_token,
-            refreshToken: refresh_token,
-            expiresIn: expires_in,
-            expiresAt: expiresAt,
-            spotifyApi: this.spotifyApi
-          });
+          resolve(result);
 
         } catch (error) {
           res.send(`
@@ -117,8 +359,8 @@ class SpotifyAuth {
       });
 
       // Start the server
-      this.server = app.listen(8888, () => {
-        console.log('📡 Callback server running on http://127.0.0.1:8888');
+      this.server = app.listen(this.callbackPort, () => {
+        console.log(`📡 Callback server running on port ${this.callbackPort}`);
         console.log('📍 Redirect URI configured as:', this.redirectUri);
         
         // Open browser using system command
@@ -128,7 +370,7 @@ class SpotifyAuth {
       // Handle server errors
       this.server.on('error', (err) => {
         if (err.code === 'EADDRINUSE') {
-          reject(new Error('Port 8888 is already in use. Please close any applications using this port and try again.'));
+          reject(new Error(`Port ${this.callbackPort} is already in use. Please close any applications using this port and try again.`));
         } else {
           reject(err);
         }
@@ -136,6 +378,108 @@ class SpotifyAuth {
     });
   }
 
+  /**
+   * Run the authorization flow without a browser or callback server
+   * The user opens the URL on any device and pastes the redirected URL back
+   * @returns {Promise<Object>} Authentication result with tokens and API instance
+   */
+  async authorizeHeadless() {
+    // Generate state for CSRF protection
+    this.state = this.generateState();
+
+    const authUrl = this.createAuthorizeUrl();
+
+    console.log('🔐 Starting Spotify authentication (headless)...');
+    console.log('Open this URL in a browser on any device and approve access:');
+    console.log(`\n${authUrl}\n`);
+    console.log(`You will be redirected to ${this.redirectUri}. The page may fail to load, that is expected.`);
+
+    const answer = await this.prompt('📋 Paste the full redirected URL (or just the code): ');
+    const { code, state: returnedState, error } = this.parseRedirectInput(answer);
+
+    if (error) {
+      throw authFailure(`Authorization failed: ${error}`);
+    }
+
+    if (!code) {
+      throw new Error('No authorization code found in the pasted input');
+    }
+
+    // A bare code carries no state; a full URL must match ours (CSRF protection)
+    if (returnedState !== null && returnedState !== this.state) {
+      throw new Error('State parameter mismatch');
+    }
+
+    return this.completeAuthorization(code);
+  }
+
+  /**
+   * Parse a pasted redirect URL, query string or bare authorization code
+   * @param {string} input - Text pasted by the user
+   * @returns {Object} Object with code, state and error (null when absent)
+   */
+  parseRedirectInput(input) {
+    const text = (input || '').trim();
+
+    if (!text.includes('=')) {
+      return { code: text || null, state: null, error: null };
+    }
+
+    const query = text.includes('?') ? text.substring(text.indexOf('?') + 1) : text;
+    const params = new URLSearchParams(query.split('#')[0]);
+
+    return {
+      code: params.get('code'),
+      state: params.get('state'),
+      error: params.get('error')
+    };
+  }
+
+  /**
+   * Exchange the authorization code and start the session
+   * @param {string} code - Authorization code
+   * @returns {Promise<Object>} Authentication result with tokens and API instance
+   */
+  async completeAuthorization(code) {
+    // Exchange authorization code for access token
+    const { access_token, refresh_token, expires_in, scope } = await this.exchangeCode(code);
+
+    // Set the access token on the API object
+    this.spotifyApi.setAccessToken(access_token);
+    this.spotifyApi.setRefreshToken(refresh_token);
+
+    // Calculate expiration time
+    const expiresAt = Date.now() + (expires_in * 1000);
+
+    return {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresIn: expires_in,
+      expiresAt: expiresAt,
+      scopes: scope ? scope.split(' ') : this.scopes,
+      spotifyApi: this.spotifyApi
+    };
+  }
+
+  /**
+   * Ask a question on the terminal
+   * @param {string} question - Prompt to display
+   * @returns {Promise<string>} User's answer
+   */
+  prompt(question) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+  }
+
   /**
    * Open browser with the authorization URL
    */
@@ -176,6 +520,39 @@ class SpotifyAuth {
     return Date.now() < expiresAt - (5 * 60 * 1000); // 5 minute buffer
   }
 
+  /**
+   * Keep the current session's access token valid, persisting any refresh
+   * Concurrent callers wait for a single shared refresh request
+   * @param {boolean} force - Refresh even if the token has not expired yet
+   * @returns {Promise<Object|null>} Refreshed tokens, or null if the token is still valid
+   */
+  async ensureValidToken(force = false) {
+    if (!this.tokens) {
+      throw authFailure('Not authenticated');
+    }
+
+    if (this.refreshPromise) {
+      await this.refreshPromise;
+      return null; // Refresh was started and reported by another caller
+    }
+
+    if (!force && this.isTokenValid(this.tokens.expiresAt)) {
+      return null;
+    }
+
+    this.refreshPromise = this.refreshTokenIfNeeded(this.tokens.refreshToken, force ? 0 : this.tokens.expiresAt)
+      .then(refreshed => {
+        Object.assign(this.tokens, refreshed);
+        this.saveTokens(this.tokens);
+        return refreshed;
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+
+    return this.refreshPromise;
+  }
+
   /**
    * Refresh the access token if needed
    */
@@ -186,22 +563,33 @@ class SpotifyAuth {
 
     try {
       console.log('🔄 Refreshing access token...');
-      this.spotifyApi.setRefreshToken(refreshToken);
-      const data = await this.spotifyApi.refreshAccessToken();
-      
-      const { access_token, expires_in } = data.body;
+      const { access_token, refresh_token, expires_in } = await this.requestRefresh(refreshToken);
       this.spotifyApi.setAccessToken(access_token);
+
+      // Spotify may rotate the refresh token
+      if (refresh_token) {
+        this.spotifyApi.setRefreshToken(refresh_token);
+      }
       
       const newExpiresAt = Date.now() + (expires_in * 1000);
       
       return {
         accessToken: access_token,
+        refreshToken: refresh_token || refreshToken,
         expiresAt: newExpiresAt
       };
     } catch (error) {
-      throw new Error(`Failed to refresh token: ${error.message}`);
+      // The accounts service answers 400 (invalid_grant) for revoked or expired refresh tokens
+      if (error.statusCode === 400 || error.statusCode === 401) {
+        throw authFailure(`Failed to refresh token: ${error.message}`, error.statusCode);
+      }
+      const refreshError = new Error(`Failed to refresh token: ${error.message}`);
+      refreshError.statusCode = error.statusCode;
+      throw refreshError;
     }
   }
 }
 
+SpotifyAuth.SCOPES = SCOPES;
+
 module.exports = SpotifyAuth;
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Token Store Module
+ * Persists OAuth tokens between runs so the browser flow is only needed once
+ */
+
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile, deleteFile } = require('../utils/storage');
+
+class TokenStore {
+  constructor(filePath = path.join(getDataDir(), 'tokens.json')) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load previously stored tokens
+   * A corrupt or half-written file is removed so the normal login flow runs
+   * @returns {Object|null} Stored tokens, or null if none are usable
+   */
+  load() {
+    let tokens;
+    try {
+      tokens = readJsonFile(this.filePath);
+    } catch (error) {
+      if (!(error.cause instanceof SyntaxError)) {
+        throw error;
+      }
+      console.warn(`⚠️  Stored credentials in ${this.filePath} are corrupt and were removed`);
+      this.clear();
+      return null;
+    }
+
+    if (!tokens || !tokens.refreshToken) {
+      return null;
+    }
+
+    return {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt || 0,
+      scopes: tokens.scopes || []
+    };
+  }
+
+  /**
+   * Save tokens (file is created with 0600 permissions)
+   * @param {Object} tokens - Tokens to persist
+   * @param {string} tokens.accessToken - Current access token
+   * @param {string} tokens.refreshToken - Refresh token
+   * @param {number} tokens.expiresAt - Access token expiry (ms since epoch)
+   * @param {Array} tokens.scopes - Scopes granted with these tokens
+   */
+  save(tokens) {
+    writeJsonFile(this.filePath, {
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt,
+      scopes: tokens.scopes || [],
+      savedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Remove stored tokens
+   * @returns {boolean} True if tokens were removed
+   */
+  clear() {
+    return deleteFile(this.filePath);
+  }
+}
+
+module.exports = TokenStore;
\ No newline at end of file
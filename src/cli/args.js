@@ -0,0 +1,287 @@
+/**
+ * Command-Line Argument Parsing
+ * Defines the available subcommands and flags and renders --help output
+ */
+
+const { parseArgs } = require('util');
+const { SCHEMA } = require('../utils/config');
+
+const DEFAULT_COMMAND = 'select';
+
+const OPTIONS = {
+  days: {
+    type: 'string',
+    value: '<n>',
+    description: `Only include releases from the last <n> days (default: ${SCHEMA.days.default})`
+  },
+  from: {
+    type: 'string',
+    value: '<date>',
+    description: 'Only include releases from this date on (YYYY-MM-DD, overrides --days)'
+  },
+  to: {
+    type: 'string',
+    value: '<date>',
+    description: 'Only include releases up to this date (YYYY-MM-DD)'
+  },
+  sources: {
+    type: 'string',
+    value: '<list>',
+    description: `Artist sources to use: ${SCHEMA.sources.values.join(',')} (default: ${SCHEMA.sources.default.join(',')})`
+  },
+  types: {
+    type: 'string',
+    value: '<list>',
+    description: `Release types to include: ${SCHEMA.types.values.join(',')} (default: ${SCHEMA.types.default.join(',')})`
+  },
+  groups: {
+    type: 'string',
+    value: '<list>',
+    description: `Release groups to fetch: ${SCHEMA.groups.values.join(',')} (default: ${SCHEMA.groups.default.join(',')})`
+  },
+  market: {
+    type: 'string',
+    value: '<code>',
+    description: 'Market (ISO country code) for availability (default: your account\'s market)'
+  },
+  'since-last-run': {
+    type: 'boolean',
+    description: 'Only show releases that appeared since the last successful scan'
+  },
+  'hide-seen': {
+    type: 'boolean',
+    description: 'Hide releases shown in earlier runs instead of marking them'
+  },
+  resume: {
+    type: 'boolean',
+    description: 'Continue an interrupted scan instead of starting over'
+  },
+  'retry-failed': {
+    type: 'boolean',
+    description: 'Only re-scan the artists that failed in the last scan'
+  },
+  'fail-on-errors': {
+    type: 'boolean',
+    description: 'Exit with an error and create no playlist if any request failed'
+  },
+  refresh: {
+    type: 'boolean',
+    description: 'Ignore cached discographies and fetch everything again'
+  },
+  name: {
+    type: 'string',
+    value: '<name>',
+    description: 'Playlist name (default: the profile\'s playlist name template)'
+  },
+  yes: {
+    type: 'boolean',
+    short: 'y',
+    description: 'Skip all prompts, never start a login, and use every new release that passes the filters'
+  },
+  'non-interactive': {
+    type: 'boolean',
+    description: 'Same as --yes'
+  },
+  config: {
+    type: 'string',
+    value: '<path>',
+    description: 'Read settings from this config file only'
+  },
+  profile: {
+    type: 'string',
+    value: '<name>',
+    description: 'Use a named account profile (default: "default")'
+  },
+  'all-profiles': {
+    type: 'boolean',
+    description: 'Run the command for every logged-in profile in turn'
+  },
+  headless: {
+    type: 'boolean',
+    description: 'Log in by pasting the redirect URL instead of opening a browser'
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    description: 'Show help'
+  }
+};
+
+const GLOBAL_OPTIONS = ['config', 'profile', 'all-profiles', 'headless', 'help'];
+const SCAN_OPTIONS = ['days', 'from', 'to', 'sources', 'types', 'groups', 'market', 'since-last-run', 'hide-seen', 'refresh', 'resume', 'retry-failed', 'fail-on-errors'];
+const CONFIG_FLAGS = Object.values(SCHEMA).filter(definition => definition.flag).map(definition => definition.flag);
+
+const COMMANDS = {
+  scan: {
+    summary: 'Fetch and list recent releases from your artists',
+    options: [...SCAN_OPTIONS, 'yes', 'non-interactive']
+  },
+  select: {
+    summary: 'Pick releases interactively and create a playlist (default)',
+    options: [...SCAN_OPTIONS, 'name', 'yes', 'non-interactive']
+  },
+  playlist: {
+    summary: 'Create a playlist from all new recent releases without prompting',
+    options: [...SCAN_OPTIONS, 'name', 'yes', 'non-interactive']
+  },
+  artists: {
+    summary: 'Show the report of tracked artists',
+    options: ['sources']
+  },
+  stats: {
+    summary: 'Show artist source statistics only',
+    options: ['sources']
+  },
+  auth: {
+    summary: 'Manage credentials: auth login | auth logout | auth status',
+    options: [],
+    actions: ['login', 'logout', 'status']
+  },
+  watch: {
+    summary: 'Manage the artist watchlist: watch add <artist> | watch remove <artist> | watch list',
+    options: ['yes'],
+    actions: ['add', 'remove', 'list'],
+    argumentActions: ['add', 'remove'] // Take an artist ID, Spotify URL or name
+  },
+  config: {
+    summary: 'Print the effective configuration and where each value came from',
+    options: CONFIG_FLAGS,
+    actions: ['show']
+  }
+};
+
+/**
+ * Parse command-line arguments into a command and options
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @returns {Object} Parsed command, action, config flags and options
+ */
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new Error(error.message.split('. ')[0]);
+  }
+
+  const { values, positionals } = parsed;
+  const command = positionals[0] || DEFAULT_COMMAND;
+  const definition = COMMANDS[command];
+
+  if (!definition) {
+    throw new Error(`Unknown command "${command}". Run with --help to see available commands`);
+  }
+
+  const action = positionals[1] || null;
+  const takesArgument = Boolean(definition.argumentActions && definition.argumentActions.includes(action));
+  const argument = takesArgument ? positionals.slice(2).join(' ') || null : null;
+
+  if (definition.actions) {
+    if (!values.help && !definition.actions.includes(action)) {
+      throw new Error(`"${command}" needs one of: ${definition.actions.join(', ')}`);
+    }
+    if (!values.help && takesArgument && !argument) {
+      throw new Error(`"${command} ${action}" needs an argument`);
+    }
+    if (!takesArgument && positionals.length > 2) {
+      throw new Error(`Unexpected argument "${positionals[2]}"`);
+    }
+  } else if (positionals.length > 1) {
+    throw new Error(`Unexpected argument "${positionals[1]}"`);
+  }
+
+  // Reject flags that do not apply to this command
+  const allowed = [...definition.options, ...GLOBAL_OPTIONS];
+  const unsupported = Object.keys(values).filter(flag => !allowed.includes(flag));
+  if (unsupported.length > 0) {
+    throw new Error(`"${command}" does not accept --${unsupported[0]}`);
+  }
+
+  // Tunables are validated by the config loader, which layers them over file and env values
+  const flags = {};
+  Object.keys(SCHEMA).forEach(key => {
+    const flag = SCHEMA[key].flag;
+    if (flag && values[flag] !== undefined) {
+      flags[flag] = values[flag];
+    }
+  });
+
+  const options = {
+    name: values.name || null,
+    configPath: values.config || null,
+    profile: values.profile || null,
+    allProfiles: values['all-profiles'] === true,
+    headless: values.headless === true,
+    sinceLastRun: values['since-last-run'] === true,
+    refresh: values.refresh === true,
+    resume: values.resume === true,
+    retryFailed: values['retry-failed'] === true,
+    failOnErrors: values['fail-on-errors'] === true,
+    yes: values.yes === true || values['non-interactive'] === true
+  };
+
+  return {
+    command,
+    action,
+    argument,
+    help: values.help === true,
+    helpCommand: positionals[0] ? command : null,
+    flags,
+    options
+  };
+};
+
+/**
+ * Format a list of flags for help output
+ * @param {Array} flags - Flag names
+ * @returns {Array} Help lines
+ */
+const formatOptions = (flags) => {
+  return flags.map(flag => {
+    const definition = OPTIONS[flag];
+    const short = definition.short ? `-${definition.short}, ` : '';
+    const usage = `${short}--${flag}${definition.value ? ` ${definition.value}` : ''}`;
+    return `  ${usage.padEnd(24)} ${definition.description}`;
+  });
+};
+
+/**
+ * Build help text for the whole tool or a single command
+ * @param {string} command - Command to describe (optional)
+ * @returns {string} Help text
+ */
+const getHelpText = (command = null) => {
+  if (command && COMMANDS[command]) {
+    const definition = COMMANDS[command];
+    const usage = definition.actions
+      ? `${command} <${definition.actions.join('|')}>`
+      : command;
+
+    return [
+      `Usage: npm start -- ${usage} [options]`,
+      '',
+      definition.summary,
+      '',
+      'Options:',
+      ...formatOptions([...definition.options, ...GLOBAL_OPTIONS])
+    ].join('\n');
+  }
+
+  return [
+    'Usage: npm start -- [command] [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, definition]) => `  ${name.padEnd(24)} ${definition.summary}`),
+    '',
+    'Global options:',
+    ...formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Run "npm start -- <command> --help" for command options.'
+  ].join('\n');
+};
+
+module.exports = {
+  COMMANDS,
+  DEFAULT_COMMAND,
+  parseCommandLine,
+  getHelpText
+};
\ No newline at end of file
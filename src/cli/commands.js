@@ -0,0 +1,695 @@
+/**
+ * CLI Command Handlers
+ * Implements the scan, select, playlist, artists, stats, auth and config subcommands
+ * Every handler receives a context with the profile, parsed options, effective config and action
+ */
+
+const SpotifyAuth = require('../auth/spotify-auth');
+const TokenStore = require('../auth/token-store');
+const RateLimiter = require('../spotify/rate-limiter');
+const { createSource } = require('../spotify/artist-sources');
+const AlbumRetrieval = require('../spotify/album-retrieval');
+const ArtistManager = require('../utils/artist-manager');
+const PlaylistManager = require('../utils/playlist-manager');
+const ReleaseFilter = require('../utils/release-filter');
+const InteractiveSelector = require('../utils/interactive-selector');
+const ReleaseHistory = require('../utils/release-history');
+const DiscographyCache = require('../utils/discography-cache');
+const ScanCheckpoint = require('../utils/scan-checkpoint');
+const EditionGrouping = require('../utils/edition-grouping');
+const Watchlist = require('../utils/watchlist');
+const IgnoreList = require('../utils/ignore-list');
+const WatchlistArtists = require('../spotify/watchlist-artists');
+const { writeErrorLog, readFailedArtists } = require('../utils/scan-error-log');
+const { createLookback, describeLookback } = require('../utils/lookback');
+const { SCHEMA, formatValue } = require('../utils/config');
+const reports = require('./reports');
+const { EXIT_CODES, exitCodeForError } = require('./exit-codes');
+
+/**
+ * Create a SpotifyAuth instance bound to a profile's token store
+ * @param {Object} context - Command context
+ * @returns {SpotifyAuth} Auth instance
+ */
+const createAuth = ({ profile, options, config }) => {
+  return new SpotifyAuth({
+    usePkce: options.usePkce,
+    scopes: config.auth.scopes,
+    rateLimiter: new RateLimiter({
+      ...config.rateLimit,
+      onPause: ({ waitMs }) => {
+        console.log(`\n⏳ Rate limited by Spotify, pausing all requests for ${Math.ceil(waitMs / 1000)}s`);
+      }
+    }),
+    tokenStore: new TokenStore(profile.getPath('tokens.json')),
+    showDialog: !profile.isDefault(), // Let extra profiles pick a different account
+    onTokenRefresh: ({ expiresAt }) => {
+      console.log(`🔑 Access token refreshed (valid until ${new Date(expiresAt).toLocaleTimeString()})`);
+    }
+  });
+};
+
+/**
+ * Authenticate and greet the user
+ * @param {Object} context - Command context
+ * @param {Object} authOptions - Extra options for SpotifyAuth.authenticate()
+ * @returns {Promise<Object>} Authentication result with the wrapped API instance
+ */
+const startSession = async (context, authOptions = {}) => {
+  const { options } = context;
+  const auth = createAuth(context);
+
+  // Authenticate with Spotify (headless mode prints the URL instead of opening a browser)
+  // Unattended runs must never wait for a browser login
+  // Rejected credentials carry code AUTH_FAILED or status 401, other errors keep their own exit code
+  const authResult = await auth.authenticate({
+    headless: options.headless,
+    allowLogin: !options.yes,
+    ...authOptions
+  });
+
+  console.log('✅ Authentication successful!');
+  console.log(`Token expires in ${Math.round(authResult.expiresIn / 60)} minutes`);
+
+  // Test the API connection
+  const me = await authResult.spotifyApi.getMe();
+  console.log(`👋 Hello, ${me.body.display_name || me.body.id}!`);
+
+  return authResult;
+};
+
+/**
+ * Exit code for a finished scan
+ * Releases shown in an earlier run are still listed, but only unseen ones count as new
+ * @param {Array} releases - Releases found
+ * @param {boolean} partial - Whether some API requests failed
+ * @returns {number} Exit code
+ */
+const scanExitCode = (releases, partial) => {
+  if (partial) return EXIT_CODES.PARTIAL_FAILURE;
+  return releases.some(release => !release.seen) ? EXIT_CODES.NEW_RELEASES : EXIT_CODES.NOTHING_NEW;
+};
+
+/**
+ * Check whether --fail-on-errors should stop the run
+ * @param {Object} found - Result of findReleases()
+ * @param {Object} options - Parsed command-line options
+ * @returns {boolean} True if the run must stop with an error
+ */
+const stopOnErrors = (found, options) => {
+  if (!options.failOnErrors || !found.partial) {
+    return false;
+  }
+
+  console.log('\n❌ Some requests failed, stopping because of --fail-on-errors');
+  return true;
+};
+
+/**
+ * Fetch artists from the selected sources and combine them
+ * A source that fails is skipped and marks the result as partial
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Object} context - Command context (profile and config)
+ * @param {Object} display - Display options
+ * @param {boolean} display.showSourceStats - Print statistics for each source
+ * @returns {Promise<Object>} Object with artistManager, allArtists and partial
+ */
+const collectArtists = async (spotifyApi, context, display = {}) => {
+  const results = [];
+  let partial = false;
+
+  for (const name of context.config.sources) {
+    const source = createSource(name, spotifyApi, context);
+    console.log(`\n--- Artists from ${source.label} ---`);
+
+    let artists;
+    try {
+      artists = await source.fetch();
+    } catch (error) {
+      // Rejected credentials fail every later request too, so they still end the run
+      if (exitCodeForError(error) === EXIT_CODES.AUTH_FAILURE) {
+        throw error;
+      }
+      console.log(`⚠️  Skipping ${source.label.toLowerCase()}: ${error.message}`);
+      partial = true;
+      continue;
+    }
+
+    partial = partial || source.lastError !== null;
+    results.push({ source, artists });
+
+    if (display.showSourceStats) {
+      reports.printSourceStats(source, artists);
+    }
+  }
+
+  // Combine all artist sources
+  const artistManager = new ArtistManager();
+  const allArtists = artistManager.combineArtistSources(results);
+
+  return { artistManager, allArtists, partial };
+};
+
+/**
+ * Drop ignored artists so no albums are fetched for them
+ * Genres are looked up first when genre patterns are set, since library sources do not include them
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Profile} profile - Active profile
+ * @param {Array} artists - Combined artist list
+ * @returns {Promise<Array>} Artists that are not ignored
+ */
+const removeIgnoredArtists = async (spotifyApi, profile, artists) => {
+  const ignoreList = new IgnoreList(profile.getPath('ignore-list.json')).load();
+  if (ignoreList.isEmpty()) {
+    return artists;
+  }
+
+  if (ignoreList.hasGenrePatterns()) {
+    await new ArtistManager().loadGenres(spotifyApi, artists);
+  }
+
+  const kept = artists.filter(artist => !ignoreList.isIgnored(artist));
+  const ignoredCount = artists.length - kept.length;
+
+  if (ignoredCount > 0) {
+    const byGenre = artists.filter(artist => !['artist', null].includes(ignoreList.getReason(artist))).length;
+    console.log(`🙈 Ignoring ${ignoredCount} artist(s) from the ignore list${byGenre > 0 ? ` (${byGenre} by genre)` : ''}`);
+  }
+
+  return kept;
+};
+
+/**
+ * Open the checkpoint for this scan, resuming an interrupted one with --resume
+ * @param {Object} context - Command context
+ * @returns {ScanCheckpoint} Checkpoint to record finished artists in
+ */
+const openCheckpoint = ({ profile, options, config }) => {
+  const checkpoint = new ScanCheckpoint(profile.getPath('scan-checkpoint.json'), {
+    sources: config.sources,
+    market: config.market,
+    groups: config.groups,
+    days: config.days,
+    from: config.from,
+    to: config.to
+  });
+
+  if (!options.resume) {
+    if (checkpoint.exists()) {
+      console.log('ℹ️  Starting a new scan, an interrupted one was saved (use --resume to continue it)');
+    }
+    return checkpoint;
+  }
+
+  const { resumed, mismatch } = checkpoint.load();
+
+  if (mismatch) {
+    console.log('⚠️  The interrupted scan used different settings, starting a new scan');
+  } else if (resumed > 0) {
+    console.log(`↩️  Resuming interrupted scan (${resumed} artist(s) already done)`);
+  } else {
+    console.log('ℹ️  No interrupted scan found, starting a new scan');
+  }
+
+  return checkpoint;
+};
+
+/**
+ * Fetch albums for all tracked artists and filter them to recent releases
+ * Releases from earlier runs are marked as seen, or hidden with --hide-seen and --since-last-run.
+ * With --retry-failed only the artists in the last error log are fetched
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Object} context - Command context
+ * @returns {Promise<Object>} Object with allAlbums, releases, partial, fullScan, history and since
+ */
+const findReleases = async (spotifyApi, context) => {
+  const { profile, options, config, lookback } = context;
+  const history = new ReleaseHistory(profile.getPath('history.json')).load();
+  const since = options.sinceLastRun ? history.lastScanAt : null;
+
+  if (options.sinceLastRun && !since) {
+    console.log('ℹ️  No previous scan recorded, showing all recent releases');
+  }
+
+  const errorLogPath = profile.getPath('scan-errors.json');
+  let collected;
+
+  if (options.retryFailed) {
+    const failedArtists = readFailedArtists(errorLogPath);
+    console.log(failedArtists.length > 0
+      ? `🔁 Re-scanning ${failedArtists.length} artist(s) that failed in the last scan`
+      : 'ℹ️  The last scan has no failed artists to re-scan');
+    collected = { allArtists: failedArtists, partial: false };
+  } else {
+    collected = await collectArtists(spotifyApi, context);
+  }
+
+  const allArtists = await removeIgnoredArtists(spotifyApi, profile, collected.allArtists);
+
+  // Retrieve albums for all artists
+  const cache = config.cache.enabled
+    ? new DiscographyCache(profile.getPath('discography-cache.json'), { ttlHours: config.cache.ttlHours }).load()
+    : null;
+  const checkpoint = options.retryFailed ? null : openCheckpoint(context);
+  const albumRetrieval = new AlbumRetrieval(spotifyApi, {
+    market: config.market,
+    groups: config.groups,
+    lookback,
+    cache,
+    refresh: options.refresh,
+    checkpoint,
+    ...config.retrieval
+  });
+  const allAlbums = await albumRetrieval.fetchAllArtistAlbums(allArtists);
+
+  reports.printAlbumStats(albumRetrieval, allAlbums, allArtists.length, lookback);
+
+  // A release shared by several tracked artists is listed once
+  const mergedReleases = ReleaseFilter.mergeCollaborations(allAlbums, allArtists)
+    .filter(album => ReleaseFilter.isInLookback(album, lookback));
+
+  // Durations for the classifier, explicit flags and availability for picking editions
+  await ReleaseFilter.loadAlbumDetails(spotifyApi, mergedReleases, config.market);
+
+  const filteredReleases = ReleaseFilter.filterReleases(mergedReleases, {
+    lookback,
+    types: config.types,
+    thresholds: config.classifier
+  });
+  const recentReleases = config.editions.enabled
+    ? EditionGrouping.collapseEditions(filteredReleases, config.editions)
+    : filteredReleases;
+
+  if (recentReleases.length < filteredReleases.length) {
+    console.log(`📚 Collapsed ${filteredReleases.length - recentReleases.length} duplicate edition(s)`);
+  }
+  const releases = ReleaseFilter.applyHistory(recentReleases, history, {
+    hideSeen: config.history.hideSeen || options.sinceLastRun,
+    since
+  });
+
+  if (releases.length < recentReleases.length) {
+    console.log(`👀 Hiding ${recentReleases.length - releases.length} release(s) already seen`);
+  }
+
+  reports.printFailureSummary(albumRetrieval.failedArtists, albumRetrieval.searchFailures);
+
+  if (writeErrorLog(errorLogPath, albumRetrieval.failedArtists, albumRetrieval.searchFailures)) {
+    console.log(`📝 Error log: ${errorLogPath}`);
+    if (albumRetrieval.failedArtists.length > 0) {
+      console.log('   Run again with --retry-failed to re-scan only the failed artists');
+    }
+  }
+
+  const partial = collected.partial ||
+    albumRetrieval.lastError !== null ||
+    albumRetrieval.failedArtists.length > 0;
+
+  // Keep the checkpoint until a scan gets through every artist
+  if (checkpoint && partial) {
+    console.log('💾 Progress was saved, run again with --resume to retry only what is missing');
+  } else if (checkpoint) {
+    checkpoint.clear();
+  }
+
+  return { allAlbums, releases, partial, fullScan: !options.retryFailed, history, since, lookback };
+};
+
+/**
+ * Record listed releases in the history
+ * A scan only counts for --since-last-run when it covered every artist and every request succeeded
+ * @param {Object} found - Result of findReleases()
+ */
+const recordShown = ({ releases, partial, fullScan, history }) => {
+  const now = new Date().toISOString();
+  history.markShown(releases, now);
+  if (!partial && fullScan) {
+    history.recordScan(now);
+  }
+  history.save();
+};
+
+/**
+ * Print the release table and record the listed releases in the history
+ * @param {Object} found - Result of findReleases()
+ */
+const listReleases = (found) => {
+  reports.printReleaseTable(found.releases, found.lookback, found.since);
+  recordShown(found);
+};
+
+/**
+ * Extract tracks from releases and create a playlist
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Array} releases - Releases to add
+ * @param {string} playlistName - Playlist name
+ * @param {Object} config - Effective configuration
+ * @param {ReleaseHistory} history - Release history to update
+ * @returns {Promise<boolean>} True if the playlist was created
+ */
+const createPlaylistFromReleases = async (spotifyApi, releases, playlistName, config, history) => {
+  try {
+    // Get tracks from selected releases
+    console.log(`\n🎵 Extracting tracks from ${releases.length} selected release(s)...`);
+    const selectedTracks = await ReleaseFilter.extractAllTracksFromReleases(spotifyApi, releases);
+
+    const uniqueTracks = ReleaseFilter.removeDuplicateTracks(selectedTracks);
+    console.log(`📀 Found ${uniqueTracks.length} total tracks`);
+
+    // Create the playlist
+    console.log('\n🔄 Creating playlist...');
+    const playlistManager = new PlaylistManager(spotifyApi, { ...config.playlist, timezone: config.timezone });
+    const playlistResult = await playlistManager.createCustomPlaylist(playlistName, uniqueTracks);
+
+    reports.printPlaylistResult(playlistResult);
+
+    if (playlistResult.playlist) {
+      history.markAdded(releases, playlistResult.playlist.id);
+      history.save();
+    }
+    return true;
+
+  } catch (playlistError) {
+    console.error('\n❌ Playlist creation failed:', playlistError.message);
+
+    // Check if it's a permissions issue
+    if (playlistError.message.includes('insufficient permissions') ||
+        playlistError.message.includes('scope') ||
+        playlistError.message.includes('403')) {
+      console.log('\n💡 This might be a permissions issue.');
+      console.log('   Please re-authenticate to grant playlist creation permissions.');
+    }
+
+    return false;
+  }
+};
+
+/**
+ * scan: fetch and list recent releases
+ */
+const runScan = async (context) => {
+  const { spotifyApi } = await startSession(context);
+  const found = await findReleases(spotifyApi, context);
+
+  listReleases(found);
+
+  if (stopOnErrors(found, context.options)) {
+    return EXIT_CODES.ERROR;
+  }
+
+  return scanExitCode(found.releases, found.partial);
+};
+
+/**
+ * select: pick releases interactively and create a playlist
+ * With --yes every release is used and all prompts are skipped
+ */
+const runSelect = async (context) => {
+  const { profile, options, config } = context;
+  const { spotifyApi } = await startSession(context);
+  const found = await findReleases(spotifyApi, context);
+  const { releases, partial, history } = found;
+
+  if (options.yes) {
+    listReleases(found);
+    return createPlaylistUnattended(spotifyApi, found, context);
+  }
+
+  if (stopOnErrors(found, options)) {
+    return EXIT_CODES.ERROR;
+  }
+
+  // Interactive playlist creation
+  console.log('\n--- Interactive Playlist Creation ---');
+  recordShown(found);
+
+  if (releases.length === 0) {
+    console.log(found.since
+      ? '📭 No new releases since the last scan.'
+      : `📭 No matching releases found in ${describeLookback(found.lookback)}.`);
+    console.log('   Nothing available for playlist creation.');
+    return scanExitCode([], partial);
+  }
+
+  console.log(`🔍 Found ${releases.length} recent releases for selection`);
+
+  // Interactive release selection
+  const interactiveSelector = new InteractiveSelector({
+    lookback: found.lookback,
+    ignoreList: new IgnoreList(profile.getPath('ignore-list.json')).load()
+  });
+  const selectedReleases = await interactiveSelector.selectReleases(releases);
+
+  history.markSelected(selectedReleases);
+  history.save();
+
+  if (selectedReleases.length === 0) {
+    console.log('📝 No releases selected. Playlist creation cancelled.');
+    return scanExitCode(releases, partial);
+  }
+
+  // Suggest playlist name
+  const suggestedName = options.name || interactiveSelector.suggestPlaylistName(selectedReleases);
+  const playlistName = await interactiveSelector.confirmPlaylistName(suggestedName);
+
+  // Final confirmation
+  const confirmed = await interactiveSelector.finalConfirmation(playlistName, selectedReleases);
+
+  if (!confirmed) {
+    console.log('\n❌ Playlist creation cancelled.');
+    return scanExitCode(releases, partial);
+  }
+
+  const created = await createPlaylistFromReleases(spotifyApi, selectedReleases, playlistName, config, history);
+  return scanExitCode(releases, partial || !created);
+};
+
+/**
+ * Create a playlist from every release not shown in an earlier run, without prompting
+ * Scheduled runs would otherwise keep adding the same releases, and the exit code only counts unseen ones
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Object} found - Result of findReleases()
+ * @param {Object} context - Command context
+ * @returns {Promise<number>} Exit code
+ */
+const createPlaylistUnattended = async (spotifyApi, found, { options, config }) => {
+  const { releases, partial, history } = found;
+
+  if (stopOnErrors(found, options)) {
+    return EXIT_CODES.ERROR;
+  }
+
+  const newReleases = releases.filter(release => !release.seen);
+
+  if (newReleases.length === 0) {
+    console.log(releases.length === 0
+      ? '   Nothing available for playlist creation.'
+      : '   Nothing new for playlist creation, every release was shown in an earlier run.');
+    return scanExitCode([], partial);
+  }
+
+  const playlistManager = new PlaylistManager(spotifyApi, { ...config.playlist, timezone: config.timezone });
+  const playlistName = options.name || playlistManager.createNameFromTemplate(config.playlist.nameTemplate, newReleases);
+
+  const created = await createPlaylistFromReleases(spotifyApi, newReleases, playlistName, config, history);
+  return scanExitCode(newReleases, partial || !created);
+};
+
+/**
+ * playlist: create a playlist from all recent releases without prompting
+ */
+const runPlaylist = async (context) => {
+  // Meant for scheduled runs, so it never waits for a browser login
+  const { spotifyApi } = await startSession(context, { allowLogin: false });
+  const found = await findReleases(spotifyApi, context);
+
+  listReleases(found);
+
+  return createPlaylistUnattended(spotifyApi, found, context);
+};
+
+/**
+ * artists: show the tracked-artist report
+ */
+const runArtists = async (context) => {
+  const { spotifyApi } = await startSession(context);
+  const { artistManager, allArtists, partial } = await collectArtists(spotifyApi, context);
+
+  reports.printArtistReport(artistManager, allArtists);
+
+  return partial ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.NEW_RELEASES;
+};
+
+/**
+ * stats: show source and combined statistics
+ */
+const runStats = async (context) => {
+  const { spotifyApi } = await startSession(context);
+  const { artistManager, allArtists, partial } = await collectArtists(spotifyApi, context, { showSourceStats: true });
+
+  reports.printCombinedStats(artistManager, allArtists);
+
+  return partial ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.NEW_RELEASES;
+};
+
+/**
+ * auth login|logout|status: manage stored credentials
+ */
+const runAuth = async (context) => {
+  const { profile, action } = context;
+
+  if (action === 'login') {
+    await startSession(context, { forceLogin: true });
+    return;
+  }
+
+  const auth = createAuth(context);
+
+  if (action === 'logout') {
+    const removed = auth.tokenStore.clear();
+    console.log(removed
+      ? `👋 Logged out profile "${profile.name}"`
+      : `ℹ️  Profile "${profile.name}" was not logged in`);
+    return;
+  }
+
+  const tokens = auth.tokenStore.load();
+  console.log(`\n🔐 Profile: ${profile.name}`);
+
+  if (!tokens) {
+    console.log('   Status: not logged in');
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+
+  const expiresAt = new Date(tokens.expiresAt);
+  const expired = Date.now() >= tokens.expiresAt;
+  console.log('   Status: logged in');
+  console.log(`   Access token ${expired ? 'expired' : 'expires'}: ${expiresAt.toLocaleString()}${expired ? ' (will refresh on next run)' : ''}`);
+  console.log(`   Granted scopes: ${tokens.scopes.join(', ') || 'unknown'}`);
+
+  if (!auth.hasRequiredScopes(tokens.scopes)) {
+    console.log('   ⚠️  New permissions are required, the next run will ask you to log in again');
+  }
+};
+
+/**
+ * watch add|remove|list: manage the artist watchlist
+ * Names matching several artists are offered for selection, or rejected with --yes
+ */
+const runWatch = async (context) => {
+  const { profile, action, argument, options } = context;
+  const watchlist = new Watchlist(profile.getPath('watchlist.json')).load();
+
+  if (action === 'list') {
+    const entries = watchlist.getEntries();
+    console.log(`\n📌 Watchlist for profile "${profile.name}" (${entries.length}):`);
+
+    if (entries.length === 0) {
+      console.log('   (empty, add artists with "watch add <artist>")');
+    }
+    entries.forEach(entry => {
+      console.log(typeof entry === 'string'
+        ? `   • ${entry} (resolved on each scan)`
+        : `   • ${entry.name} (${entry.id})`);
+    });
+    return;
+  }
+
+  if (action === 'remove') {
+    const removed = watchlist.remove(argument);
+    if (removed.length === 0) {
+      console.log(`ℹ️  "${argument}" is not on the watchlist`);
+      return;
+    }
+
+    watchlist.save();
+    removed.forEach(entry => {
+      console.log(`🗑️  Removed ${typeof entry === 'string' ? entry : entry.name} from the watchlist`);
+    });
+    return;
+  }
+
+  const { spotifyApi } = await startSession(context);
+  const { candidates, exact } = await new WatchlistArtists(spotifyApi, watchlist).findCandidates(argument);
+  let artist = exact.length === 1 ? exact[0] : null;
+
+  if (candidates.length === 0) {
+    throw new Error(`No artist found for "${argument}"`);
+  }
+
+  if (!artist) {
+    if (options.yes) {
+      const names = candidates.map(candidate => `${candidate.name} (${candidate.id})`).join(', ');
+      throw new Error(`"${argument}" is ambiguous: ${names}. Add the artist by ID or Spotify URL instead`);
+    }
+
+    artist = await new InteractiveSelector().chooseArtist(argument, exact.length > 1 ? exact : candidates);
+    if (!artist) {
+      console.log('👋 Nothing added');
+      return;
+    }
+  }
+
+  if (!watchlist.add(artist)) {
+    console.log(`ℹ️  ${artist.name} is already on the watchlist`);
+    return;
+  }
+
+  watchlist.save();
+  console.log(`📌 Added ${artist.name} (${artist.id}) to the watchlist`);
+};
+
+/**
+ * config show: print the effective configuration and where each value came from
+ */
+const runConfig = async ({ profile, loadedConfig }) => {
+  console.log(`\n⚙️  Configuration for profile "${profile.name}"`);
+
+  console.log('\n📁 Config files (lowest precedence first):');
+  loadedConfig.files.forEach(file => {
+    console.log(`   ${file.found ? '✅' : '➖'} ${file.label}: ${file.path}${file.found ? '' : ' (not found)'}`);
+  });
+
+  console.log('\n🔧 Effective settings:');
+  Object.keys(SCHEMA).forEach(key => {
+    const value = formatValue(loadedConfig.values[key]);
+    console.log(`   ${key.padEnd(32)} ${value.padEnd(24)} [${loadedConfig.origins[key]}]`);
+  });
+};
+
+const COMMAND_HANDLERS = {
+  scan: runScan,
+  select: runSelect,
+  playlist: runPlaylist,
+  artists: runArtists,
+  stats: runStats,
+  auth: runAuth,
+  watch: runWatch,
+  config: runConfig
+};
+
+/**
+ * Run a subcommand for a profile
+ * @param {string} command - Command name
+ * @param {Object} context - Command context
+ * @param {string} context.action - Command action (auth, watch and config only)
+ * @param {string} context.argument - Argument of the action, e.g. the artist for "watch add"
+ * @param {Profile} context.profile - Active profile
+ * @param {Object} context.options - Parsed command-line options
+ * @param {Object} context.loadedConfig - Result of loadConfig() for the profile
+ * @returns {Promise<number>} Exit code
+ */
+const runCommand = async (command, context) => {
+  const handler = COMMAND_HANDLERS[command];
+  if (!handler) {
+    throw new Error(`Unknown command "${command}"`);
+  }
+
+  const config = context.loadedConfig.config;
+  const exitCode = await handler({ ...context, config, lookback: createLookback(config) });
+  return exitCode === undefined ? EXIT_CODES.NEW_RELEASES : exitCode;
+};
+
+module.exports = {
+  runCommand
+};
\ No newline at end of file
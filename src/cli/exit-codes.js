@@ -0,0 +1,52 @@
+/**
+ * Process Exit Codes
+ * Distinct codes let cron jobs and systemd timers react to the outcome of a run
+ */
+
+const EXIT_CODES = {
+  NEW_RELEASES: 0, // Run succeeded and found releases
+  ERROR: 1, // Unexpected error
+  USAGE: 2, // Invalid command line or configuration
+  NOTHING_NEW: 3, // Run succeeded but found no releases
+  AUTH_FAILURE: 4, // Not logged in, or credentials could not be refreshed
+  PARTIAL_FAILURE: 5, // Some API requests failed, results may be incomplete
+  INTERRUPTED: 130 // Stopped with Ctrl+C (128 + SIGINT, as shells report it)
+};
+
+// Most severe first, used when several profiles run in one process
+const SEVERITY = [
+  EXIT_CODES.USAGE,
+  EXIT_CODES.AUTH_FAILURE,
+  EXIT_CODES.ERROR,
+  EXIT_CODES.PARTIAL_FAILURE,
+  EXIT_CODES.NEW_RELEASES,
+  EXIT_CODES.NOTHING_NEW
+];
+
+/**
+ * Pick the most severe of several exit codes
+ * @param {Array} codes - Exit codes from individual runs
+ * @returns {number} Most severe exit code
+ */
+const mostSevere = (codes) => {
+  return SEVERITY.find(code => codes.includes(code)) ?? EXIT_CODES.NEW_RELEASES;
+};
+
+/**
+ * Map an error to an exit code
+ * @param {Error} error - Error thrown by a command
+ * @returns {number} Exit code
+ */
+const exitCodeForError = (error) => {
+  if (error.code === 'AUTH_FAILED' || error.statusCode === 401 ||
+      error.message.includes('Access token expired')) {
+    return EXIT_CODES.AUTH_FAILURE;
+  }
+  return EXIT_CODES.ERROR;
+};
+
+module.exports = {
+  EXIT_CODES,
+  mostSevere,
+  exitCodeForError
+};
\ No newline at end of file
@@ -0,0 +1,317 @@
+/**
+ * CLI Report Printing
+ * Prints statistics and release listings for the command-line commands
+ */
+
+const ReleaseFilter = require('../utils/release-filter');
+const { describeLookback, getLookbackDays } = require('../utils/lookback');
+const { describeEdition } = require('../utils/edition-grouping');
+const { getReleaseTypeIcon } = require('../utils/release-classifier');
+const { formatReleaseDate, isApproximateDate } = require('../utils/release-date');
+
+/**
+ * Print statistics for one artist source
+ * @param {Object} source - Source instance from artist-sources.js
+ * @param {Array} artists - Artists returned by source.fetch()
+ */
+const printSourceStats = (source, artists) => {
+  const stats = source.getStatistics(artists);
+  console.log(`\n📊 ${source.label} Statistics:`);
+  console.log(`   Total unique artists: ${stats.total}`);
+  console.log(`   Artists with Spotify URL: ${stats.withSpotifyUrl}`);
+
+  if (stats.missingUrl > 0) {
+    console.log(`   Artists missing URL: ${stats.missingUrl}`);
+  }
+
+  source.getStatisticLines(artists).forEach(line => console.log(`   ${line}`));
+
+  // Show sample artists
+  if (artists.length > 0) {
+    console.log(`\n${source.icon} Sample artists from ${source.label.toLowerCase()}:`);
+    source.getSampleArtists(artists, 5).forEach(artist => {
+      const popularityStr = artist.popularity ? ` (${artist.popularity}/100 popularity)` : '';
+      console.log(`   • ${artist.name}${popularityStr}`);
+    });
+
+    if (artists.length > 5) {
+      console.log(`   ... and ${artists.length - 5} more`);
+    }
+  }
+};
+
+/**
+ * Format an artist line with popularity and sources
+ * @param {Object} artist - Combined artist object
+ * @returns {string} Formatted line
+ */
+const formatArtistLine = (artist) => {
+  const sourcesStr = artist.sources.join(' + ');
+  const popularityStr = artist.popularity ? ` (${artist.popularity}/100)` : '';
+  return `   • ${artist.name}${popularityStr} [${sourcesStr}]`;
+};
+
+/**
+ * Print combined statistics, multi-source artists and data quality
+ * @param {Object} artistManager - ArtistManager instance
+ * @param {Array} allArtists - Combined artist list
+ */
+const printCombinedStats = (artistManager, allArtists) => {
+  const stats = artistManager.getStatistics(allArtists);
+  console.log('\n📊 Combined Artists Statistics:');
+  console.log(`   Total unique artists: ${stats.total}`);
+  artistManager.sources.forEach(({ id, label }) => {
+    console.log(`   From ${label.toLowerCase()}: ${stats.bySource[id] || 0}`);
+  });
+  console.log(`   Found in multiple sources: ${stats.multipleSourceCount}`);
+
+  if (stats.withPopularity > 0) {
+    console.log(`   With popularity data: ${stats.withPopularity}/${stats.total}`);
+    console.log(`   Average popularity: ${stats.averagePopularity}/100`);
+  }
+
+  // Show multi-source artists (high confidence)
+  const multiSourceArtists = artistManager.getMultiSourceArtists(allArtists);
+  if (multiSourceArtists.length > 0) {
+    console.log(`\n🎯 Artists found in multiple sources (${multiSourceArtists.length}):`);
+    multiSourceArtists.slice(0, 5).forEach(artist => {
+      console.log(formatArtistLine(artist));
+    });
+
+    if (multiSourceArtists.length > 5) {
+      console.log(`   ... and ${multiSourceArtists.length - 5} more`);
+    }
+  }
+
+  // Show sample of all artists
+  console.log(`\n🎭 Sample of all tracked artists:`);
+  artistManager.getSampleArtists(allArtists, 8).forEach(artist => {
+    console.log(formatArtistLine(artist));
+  });
+
+  // Data validation report
+  const validation = artistManager.validateArtistData(allArtists);
+  console.log('\n📋 Data Quality Report:');
+  console.log(`   Valid artists: ${validation.valid}/${validation.total}`);
+
+  if (validation.missingSpotifyUrl > 0) {
+    console.log(`   Missing Spotify URL: ${validation.missingSpotifyUrl}`);
+  }
+
+  if (validation.missingName > 0) {
+    console.log(`   Missing name: ${validation.missingName}`);
+  }
+
+  if (validation.duplicateNames > 0) {
+    console.log(`   Duplicate names (different artists): ${validation.duplicateNames}`);
+  }
+};
+
+/**
+ * Print every tracked artist grouped by how many sources found them
+ * @param {Object} artistManager - ArtistManager instance
+ * @param {Array} allArtists - Combined artist list
+ */
+const printArtistReport = (artistManager, allArtists) => {
+  const multiSourceArtists = artistManager.getMultiSourceArtists(allArtists);
+  const sortedArtists = allArtists.slice().sort((a, b) => a.name.localeCompare(b.name));
+
+  console.log(`\n🎭 Tracked Artists (${allArtists.length}):`);
+
+  if (multiSourceArtists.length > 0) {
+    console.log(`\n🎯 Found in multiple sources (${multiSourceArtists.length}):`);
+    sortedArtists
+      .filter(artist => artist.sources.length > 1)
+      .forEach(artist => console.log(formatArtistLine(artist)));
+  }
+
+  console.log(`\n🎵 Found in one source (${allArtists.length - multiSourceArtists.length}):`);
+  sortedArtists
+    .filter(artist => artist.sources.length === 1)
+    .forEach(artist => console.log(formatArtistLine(artist)));
+};
+
+/**
+ * Print album retrieval statistics and the activity inside the lookback window
+ * @param {Object} albumRetrieval - AlbumRetrieval instance
+ * @param {Array} allAlbums - Retrieved albums
+ * @param {number} artistCount - Number of artists that were scanned
+ * @param {Object} lookback - Lookback window used for the scan
+ */
+const printAlbumStats = (albumRetrieval, allAlbums, artistCount, lookback) => {
+  const albumStats = albumRetrieval.getStatistics(allAlbums);
+  console.log('\n📊 Album Retrieval Statistics:');
+  console.log(`   Total albums retrieved: ${albumStats.total}`);
+  console.log(`   Albums: ${albumStats.byType.album}`);
+  console.log(`   Singles/EPs: ${albumStats.byType.single}`);
+  if (albumStats.byType.compilation > 0) {
+    console.log(`   Compilations: ${albumStats.byType.compilation}`);
+  }
+  if (albumStats.byGroup.appears_on > 0) {
+    console.log(`   Appearances on other artists' releases: ${albumStats.byGroup.appears_on}`);
+  }
+  console.log(`   Average tracks per release: ${albumStats.averageTracks}`);
+  console.log(`   Artists with releases: ${albumStats.uniqueArtists}/${artistCount}`);
+
+  if (albumStats.cache) {
+    const { hits, revalidated, misses } = albumStats.cache;
+    console.log(`   Cache: ${hits} hits, ${revalidated} revalidated, ${misses} misses`);
+  }
+
+  // Show activity inside the lookback window, by day for short windows and by month otherwise
+  const windowAlbums = ReleaseFilter.mergeCollaborations(allAlbums)
+    .filter(album => ReleaseFilter.isInLookback(album, lookback));
+  console.log(`\n📅 Activity in ${describeLookback(lookback)}: ${windowAlbums.length} releases`);
+
+  if (windowAlbums.length > 0) {
+    const byMonth = getLookbackDays(lookback) > 62;
+    const periodCounts = {};
+    windowAlbums.forEach(album => {
+      const period = album.release_date.substring(0, byMonth ? 7 : 10);
+      periodCounts[period] = (periodCounts[period] || 0) + 1;
+    });
+
+    const sortedPeriods = Object.entries(periodCounts)
+      .sort(([,a], [,b]) => b - a)
+      .slice(0, 3);
+
+    console.log(byMonth ? '   Most active months:' : '   Most active days:');
+    sortedPeriods.forEach(([period, count]) => {
+      console.log(`     ${period}: ${count} releases`);
+    });
+  }
+};
+
+/**
+ * Print a table of the artists that failed during album retrieval
+ * @param {Array} failures - Failure records for artists whose albums could not be fetched
+ * @param {Array} searchFailures - Failure records for search lookups that fell back to the album listing
+ */
+const printFailureSummary = (failures, searchFailures = []) => {
+  if (failures.length === 0 && searchFailures.length === 0) {
+    return;
+  }
+
+  const printRows = (rows) => {
+    console.log('\n   | Artist             | Artist ID              | Status | Attempts | Message');
+    console.log('   |--------------------|------------------------|:------:|:--------:|--------');
+    rows.forEach(failure => {
+      const artist = (failure.artistName || '').padEnd(18).substring(0, 18);
+      const id = (failure.artistId || '').padEnd(22).substring(0, 22);
+      const status = String(failure.statusCode || '-').padStart(4);
+      const attempts = String(failure.attempts).padStart(4);
+      console.log(`   | ${artist} | ${id} | ${status}   | ${attempts}     | ${failure.message}`);
+    });
+  };
+
+  if (failures.length > 0) {
+    console.log(`\n⚠️  Albums could not be fetched for ${failures.length} artist(s):`);
+    printRows(failures);
+  }
+
+  if (searchFailures.length > 0) {
+    console.log(`\nℹ️  Search failed for ${searchFailures.length} artist(s), their album listing was used instead:`);
+    printRows(searchFailures);
+  }
+};
+
+/**
+ * Print a table of releases
+ * Releases shown in earlier runs are marked in the Seen column
+ * Collaborations (with the sources of each tracked artist), appearances on other artists' releases
+ * and releases with several editions are listed after the table
+ * @param {Array} releases - Releases to list
+ * @param {Object} lookback - Lookback window used for the listing
+ * @param {string} since - Timestamp of the last scan when only new releases are listed (optional)
+ */
+const printReleaseTable = (releases, lookback, since = null) => {
+  if (releases.length === 0) {
+    console.log(since
+      ? `\n📭 No new releases since the last scan (${new Date(since).toLocaleString()}).`
+      : `\n📭 No matching releases found in ${describeLookback(lookback)}.`);
+    return;
+  }
+
+  console.log(since
+    ? `\n🆕 ${releases.length} release(s) since the last scan (${new Date(since).toLocaleString()}):`
+    : `\n🆕 ${releases.length} release(s) from ${describeLookback(lookback)}:`);
+  const ownReleases = releases.filter(album => !ReleaseFilter.isAppearance(album));
+  if (ownReleases.length > 0) {
+    // Print table header
+    console.log('\n   | Type | Artist             | Album / Single Title | Release Date | Tracks | Seen |');
+    console.log('   |:----:|--------------------|----------------------|--------------|:------:|:----:|');
+
+    ownReleases.forEach(album => {
+      const type = getReleaseTypeIcon(ReleaseFilter.getReleaseType(album));
+      const artist = ReleaseFilter.formatTrackedArtists(album).padEnd(18).substring(0, 18);
+      const title = album.name.padEnd(20).substring(0, 20);
+      const date = formatReleaseDate(album).padEnd(10);
+      const tracks = String(album.total_tracks).padStart(2);
+
+      const seen = album.seen ? '👀' : '  ';
+
+      console.log(`   | ${type}   | ${artist} | ${title} | ${date}   | ${tracks}     |  ${seen}  |`);
+    });
+
+    if (ownReleases.some(isApproximateDate)) {
+      console.log('\n   ~ = only the month or year is known');
+    }
+    if (ownReleases.some(album => album.date_uncertain)) {
+      console.log('   ⚠️  Some of these dates may fall outside the window');
+    }
+  }
+
+  const collaborations = releases.filter(ReleaseFilter.isCollaboration);
+  if (collaborations.length > 0) {
+    console.log(`\n👥 Collaborations between tracked artists (${collaborations.length}):`);
+    collaborations.forEach(album => {
+      const artists = ReleaseFilter.getTrackedArtists(album)
+        .map(artist => artist.sources.length > 0 ? `${artist.name} [${artist.sources.join(' + ')}]` : artist.name)
+        .join(', ');
+      console.log(`   • "${album.name}": ${artists}`);
+    });
+  }
+
+  const appearances = releases.filter(ReleaseFilter.isAppearance);
+  if (appearances.length > 0) {
+    console.log(`\n🤝 Appearances (${appearances.length}):`);
+    appearances.forEach(album => {
+      const seen = album.seen ? ' 👀' : '';
+      console.log(`   • ${ReleaseFilter.formatTrackedArtists(album)}: ${ReleaseFilter.describeReleaseGroup(album)} "${album.name}" (${formatReleaseDate(album)})${seen}`);
+    });
+  }
+
+  const collapsed = releases.filter(album => album.editions);
+  if (collapsed.length > 0) {
+    console.log(`\n📚 Releases with several editions (${collapsed.length}):`);
+    collapsed.forEach(album => {
+      console.log(`   • "${album.name}" by ${ReleaseFilter.formatTrackedArtists(album)}: ${album.editions.length} editions, using ${describeEdition(album)}`);
+    });
+  }
+};
+
+/**
+ * Print the result of a playlist creation
+ * @param {Object} playlistResult - Result from PlaylistManager
+ */
+const printPlaylistResult = (playlistResult) => {
+  if (playlistResult.playlist) {
+    console.log(`\n✅ ${playlistResult.message}`);
+    console.log(`📋 Playlist: "${playlistResult.playlist.name}"`);
+    console.log(`🔗 URL: ${playlistResult.playlist.external_urls.spotify}`);
+    console.log(`➕ Tracks added: ${playlistResult.tracksAdded}`);
+    console.log(`📊 Total tracks in playlist: ${playlistResult.totalTracksInPlaylist}`);
+  } else {
+    console.log(`\n📝 ${playlistResult.message}`);
+  }
+};
+
+module.exports = {
+  printSourceStats,
+  printCombinedStats,
+  printArtistReport,
+  printAlbumStats,
+  printFailureSummary,
+  printReleaseTable,
+  printPlaylistResult
+};
\ No newline at end of file
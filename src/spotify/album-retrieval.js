@@ -1,38 +1,95 @@
 /**
  * Album Retrieval Module
  * Fetches albums and EPs for a list of artists from Spotify
+ * Releases carry their group: the artist's own albums and singles, compilations, or appearances on other artists' releases
  */
 
 const cliProgress = require('cli-progress');
+const { runWorkerPool } = require('../utils/worker-pool');
+const { onShutdown } = require('../utils/shutdown');
+const { getReleaseDateRange } = require('../utils/release-date');
+const { createLookback, isBeforeWindow, isInWindow } = require('../utils/lookback');
+
+/**
+ * Create an error with a clearer message that keeps the details of the API error
+ * @param {string} message - New error message
+ * @param {Object} error - Original Spotify API error
+ * @returns {Error} Error with statusCode and attempts copied over
+ */
+const withDetails = (message, error) => {
+  const detailed = new Error(message);
+  detailed.statusCode = error.statusCode;
+  detailed.attempts = error.attempts;
+  return detailed;
+};
+
+const PAGE_SIZE = 20; // Reduced from 50 since we expect early termination
 
 class AlbumRetrieval {
   constructor(spotifyApi, options = {}) {
     this.spotifyApi = spotifyApi;
-    this.rateLimitDelay = 100; // Base delay between requests (ms)
-    this.batchSize = 10; // Number of artists to process concurrently
+    this.concurrency = options.concurrency || 8; // Number of artists fetched at the same time
+    this.lookback = options.lookback || createLookback({ days: options.daysBack }); // Release window, also used for early termination
     this.useSearchOptimization = options.useSearchOptimization === true; // Disable by default due to API issues
+    this.market = options.market || 'from_token'; // Market used for availability
+    this.groups = options.groups || ['album', 'single']; // Release groups to fetch (album, single, appears_on, compilation)
+    this.cache = options.cache || null; // DiscographyCache instance (optional)
+    this.refresh = options.refresh === true; // Ignore cached listings and fetch everything again
+    this.checkpoint = options.checkpoint || null; // ScanCheckpoint for resumable scans (optional)
+    this.resumedArtists = 0; // Artists taken from the checkpoint in the last run
+    this.cacheStats = { hits: 0, revalidated: 0, misses: 0 };
     this.progressBar = null; // Progress bar instance
+    this.failedArtists = []; // Failure records for artists whose albums could not be fetched in the last run
+    this.searchFailures = []; // Failure records for search lookups that fell back to the album listing
+    this.lastError = null; // Set when the last run stopped early and returned partial results
   }
 
   /**
-   * Check if an album is older than specified days
-   * @param {string} releaseDateString - Spotify release date
-   * @param {number} daysBack - Number of days to look back
-   * @returns {boolean} - True if album is older than the cutoff
+   * Check if an album was certainly released before the start of the lookback window
+   * A year or month precision date only counts as old once its whole year or month is
+   * @param {Object} album - Album object with release_date and release_date_precision
+   * @returns {boolean} - True if album is older than the window
    */
-  isOlderThanDays(releaseDateString, daysBack = 10) {
-    if (!releaseDateString) return true; // Treat missing dates as old
-    
-    const parts = releaseDateString.split('-');
-    const year = parseInt(parts[0], 10);
-    const month = parts[1] ? parseInt(parts[1], 10) - 1 : 0; // JS months are 0-indexed
-    const day = parts[2] ? parseInt(parts[2], 10) : 1;
-    
-    const releaseDate = new Date(year, month, day);
-    const now = new Date();
-    const cutoffDate = new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000));
-    
-    return releaseDate < cutoffDate;
+  isBeforeLookback(album) {
+    return isBeforeWindow(getReleaseDateRange(album), this.lookback); // Missing dates count as old
+  }
+
+  /**
+   * Convert an album from the API into the release object used by the rest of the tool
+   * @param {Object} album - Simplified album object from the API
+   * @param {Object} artist - Artist the album was found for
+   * @param {string} group - Release group the album was found in
+   * @returns {Object} Release object
+   */
+  formatAlbum(album, artist, group) {
+    return {
+      id: album.id,
+      name: album.name,
+      album_type: album.album_type,
+      album_group: album.album_group || group,
+      total_tracks: album.total_tracks,
+      release_date: album.release_date,
+      release_date_precision: album.release_date_precision,
+      spotify_url: album.external_urls.spotify,
+      artist_id: artist.id,
+      artist_name: artist.name,
+      artists: album.artists.map(a => ({
+        id: a.id,
+        name: a.name
+      })),
+      images: album.images
+    };
+  }
+
+  /**
+   * Work out the release group of a search result, which the search API does not report
+   * @param {Object} album - Simplified album object from the API
+   * @param {Object} artist - Artist the album was found for
+   * @returns {string} Release group
+   */
+  getSearchResultGroup(album, artist) {
+    if (album.artists[0].id !== artist.id) return 'appears_on';
+    return album.album_type === 'compilation' ? 'compilation' : album.album_type;
   }
 
   /**
@@ -54,7 +111,7 @@ class AlbumRetrieval {
         try {
           // Search for albums
           const albumResponse = await this.spotifyApi.search(query, ['album'], {
-            market: 'from_token',
+            market: this.market,
             limit: 20 // Smaller limit since we're searching
           });
 
@@ -68,28 +125,11 @@ class AlbumRetrieval {
                 return album.artists.some(a => a.id === artist.id);
               })
               .filter(album => {
-                // Only include recent releases (10 days) if not using tag:new
-                if (!query.includes('tag:new')) {
-                  return !this.isOlderThanDays(album.release_date, 10);
-                }
-                return true; // tag:new already filters for recent
+                // tag:new covers roughly two weeks, so both queries are limited to the window
+                return isInWindow(getReleaseDateRange(album), this.lookback);
               })
-              .map(album => ({
-                id: album.id,
-                name: album.name,
-                album_type: album.album_type,
-                total_tracks: album.total_tracks,
-                release_date: album.release_date,
-                release_date_precision: album.release_date_precision,
-                spotify_url: album.external_urls.spotify,
-                artist_id: artist.id,
-                artist_name: artist.name,
-                artists: album.artists.map(a => ({
-                  id: a.id,
-                  name: a.name
-                })),
-                images: album.images
-              }));
+              .map(album => this.formatAlbum(album, artist, this.getSearchResultGroup(album, artist)))
+              .filter(album => this.groups.includes(album.album_group));
 
             allAlbums = albums;
           }
@@ -111,94 +151,145 @@ class AlbumRetrieval {
       return []; // No results found
 
     } catch (error) {
-      // Silently fall back to artist albums endpoint - progress bar will show overall progress
+      // Fall back to artist albums endpoint, the failure is listed in the summary after the scan
+      this.searchFailures.push(this.createFailure(artist, error, 'search'));
       return this.fetchArtistAlbumsWithEarlyTermination(artist);
     }
   }
 
   /**
    * Fetch albums for a single artist with early termination (fallback method)
+   * The API only sorts by release date within a group, so every group is paged and cut off separately.
+   * The listing of all groups is cached together: within the TTL it is used as it is, and after it
+   * a single request for all groups checks whether anything changed before the groups are paged again
    * @param {Object} artist - Artist object with id and name
    * @returns {Promise<Array>} Array of albums for the artist
    */
   async fetchArtistAlbumsWithEarlyTermination(artist) {
+    const params = {
+      include_groups: this.groups.join(','),
+      market: this.market
+    };
+    const cutoff = this.lookback.from; // Day number
+    const cached = this.cache && !this.refresh ? this.cache.get(artist.id, params) : null;
+    const usable = cached && this.cache.covers(cached, cutoff);
+
+    if (usable && this.cache.isFresh(cached)) {
+      this.cacheStats.hits++;
+      return cached.albums;
+    }
+
     try {
-      let allAlbums = [];
-      let offset = 0;
-      let totalAvailable = null;
-      const limit = 20; // Reduced from 50 since we expect early termination
-
-      while (totalAvailable === null || offset < totalAvailable) {
-        const response = await this.spotifyApi.getArtistAlbums(artist.id, {
-          include_groups: 'album,single', // Include albums and singles (will filter EPs from singles later)
-          market: 'from_token',
-          limit: limit,
-          offset: offset
-        });
+      // The first page of all groups is what the cached listing is compared against
+      const firstPage = this.cache
+        ? (await this.spotifyApi.getArtistAlbums(artist.id, { ...params, limit: PAGE_SIZE, offset: 0 })).body
+        : null;
+
+      // Nothing changed since the cached listing, so one request was enough
+      if (usable && this.cache.matchesFirstPage(cached, firstPage)) {
+        this.cache.touch(cached);
+        this.cacheStats.revalidated++;
+        return cached.albums;
+      }
 
-        // Store total on first response
-        if (totalAvailable === null) {
-          totalAvailable = response.body.total;
-        }
+      const allAlbums = [];
+      let reachedEnd = true;
 
-        const albums = response.body.items.map(album => ({
-          id: album.id,
-          name: album.name,
-          album_type: album.album_type,
-          total_tracks: album.total_tracks,
-          release_date: album.release_date,
-          release_date_precision: album.release_date_precision,
-          spotify_url: album.external_urls.spotify,
-          artist_id: artist.id,
-          artist_name: artist.name,
-          artists: album.artists.map(a => ({
-            id: a.id,
-            name: a.name
-          })),
-          images: album.images
-        }));
-
-        // Early termination: if we hit albums older than 10 days, stop fetching
-        let foundOldAlbum = false;
-        for (const album of albums) {
-          if (this.isOlderThanDays(album.release_date, 10)) {
-            foundOldAlbum = true;
-            break;
-          }
-        }
+      for (const group of this.groups) {
+        // With a single group the combined first page is also the first page of that group
+        const listing = await this.fetchArtistGroupAlbums(artist, group, this.groups.length === 1 ? firstPage : null);
+        allAlbums.push(...listing.albums);
+        reachedEnd = reachedEnd && listing.reachedEnd;
+      }
 
-        allAlbums.push(...albums);
-        
-        // Stop if we found an old album (since they're sorted by date)
-        if (foundOldAlbum) {
-          break;
-        }
-        
-        offset += albums.length;
-        
-        // Break if we got fewer results than requested (last page)
-        if (albums.length < limit) {
-          break;
-        }
+      if (this.cache) {
+        this.cacheStats.misses++;
+        this.cache.set(artist.id, params, {
+          albums: allAlbums,
+          total: firstPage.total,
+          firstPageIds: firstPage.items.map(album => album.id),
+          coveredFrom: reachedEnd ? 0 : cutoff
+        });
       }
 
       return allAlbums;
 
     } catch (error) {
       if (error.statusCode === 429) {
-        // Rate limited
-        const retryAfter = error.headers['retry-after'] || 1;
-        throw new Error(`Rate limited. Retry after ${retryAfter} seconds`);
+        // The shared rate limiter already waited and retried
+        throw withDetails(`Rate limited while fetching albums for ${artist.name}`, error);
       } else if (error.statusCode === 404) {
         // Artist not found - return empty result silently
         return [];
       } else if (error.statusCode >= 500) {
-        throw new Error(`Spotify API error for ${artist.name}: ${error.message}`);
+        throw withDetails(`Spotify API error for ${artist.name}: ${error.message}`, error);
       }
       throw error;
     }
   }
 
+  /**
+   * Fetch the releases of one group for an artist, stopping at the start of the lookback window
+   * @param {Object} artist - Artist object with id and name
+   * @param {string} group - Release group (album, single, appears_on or compilation)
+   * @param {Object} firstPage - First page response body for this group if it was already fetched (optional)
+   * @returns {Promise<Object>} Object with albums and reachedEnd (true if the whole group was read)
+   */
+  async fetchArtistGroupAlbums(artist, group, firstPage = null) {
+    const allAlbums = [];
+    let offset = 0;
+    let totalAvailable = null;
+    let reachedEnd = false;
+
+    while (totalAvailable === null || offset < totalAvailable) {
+      const page = offset === 0 && firstPage
+        ? firstPage
+        : (await this.spotifyApi.getArtistAlbums(artist.id, {
+          include_groups: group, // Singles are split into EPs and singles later
+          market: this.market,
+          limit: PAGE_SIZE,
+          offset: offset
+        })).body;
+
+      // Store total on first response
+      if (totalAvailable === null) {
+        totalAvailable = page.total;
+      }
+
+      const albums = page.items.map(album => this.formatAlbum(album, artist, group));
+
+      // Early termination: if we hit albums older than the lookback window, stop fetching
+      let foundOldAlbum = false;
+      for (const album of albums) {
+        if (this.isBeforeLookback(album)) {
+          foundOldAlbum = true;
+          break;
+        }
+      }
+
+      allAlbums.push(...albums);
+      
+      // Stop if we found an old album (since they're sorted by date)
+      if (foundOldAlbum) {
+        break;
+      }
+      
+      offset += albums.length;
+      
+      // Break if we got fewer results than requested (last page)
+      if (albums.length < PAGE_SIZE) {
+        reachedEnd = true;
+        break;
+      }
+    }
+
+    if (offset >= totalAvailable) {
+      reachedEnd = true;
+    }
+
+    return { albums: allAlbums, reachedEnd };
+  }
+
   /**
    * Fetch albums for a single artist (main method - uses optimized approach)
    * @param {Object} artist - Artist object with id and name
@@ -214,63 +305,64 @@ class AlbumRetrieval {
   }
 
   /**
-   * Process a batch of artists with rate limiting
-   * @param {Array} artistBatch - Array of artists to process
-   * @param {number} batchNumber - Batch number for logging
-   * @returns {Promise<Array>} Array of albums from all artists in batch
+   * Build a structured failure record for the error report
+   * @param {Object} artist - Artist object with id and name
+   * @param {Object} error - Error thrown while fetching
+   * @param {string} stage - 'albums' or 'search'
+   * @returns {Object} Failure with artistId, artistName, stage, statusCode, attempts and message
    */
-  async processBatch(artistBatch, batchNumber) {
-    const batchResults = [];
-    
-    for (let i = 0; i < artistBatch.length; i++) {
-      const artist = artistBatch[i];
-      
-      try {
-        // Add delay between requests to respect rate limits
-        if (i > 0) {
-          await this.delay(this.rateLimitDelay);
-        }
-        
-        const albums = await this.fetchArtistAlbums(artist);
-        
-        if (albums.length > 0) {
-          batchResults.push(...albums);
-        }
-        
-      } catch (error) {
-        if (error.message.includes('Rate limited')) {
-          // Extract wait time or use default
-          const waitTime = parseInt(error.message.match(/\d+/)?.[0] || '60');
-          await this.delay(waitTime * 1000);
-          
-          // Retry this artist
-          try {
-            const albums = await this.fetchArtistAlbums(artist);
-            if (albums.length > 0) {
-              batchResults.push(...albums);
-            }
-          } catch (retryError) {
-            // Silent retry failure - progress bar will show overall progress
-          }
-        }
-      }
+  createFailure(artist, error, stage = 'albums') {
+    return {
+      artistId: artist.id,
+      artistName: artist.name,
+      stage,
+      statusCode: error.statusCode || null,
+      attempts: error.attempts || 1,
+      message: error.message
+    };
+  }
+
+  /**
+   * Fetch albums for one artist, recording failures instead of throwing
+   * @param {Object} artist - Artist object with id and name
+   * @returns {Promise<Object>} Object with albums and failure (null on success)
+   */
+  async fetchArtistAlbumsSafely(artist) {
+    try {
+      return { albums: await this.fetchArtistAlbums(artist), failure: null };
+    } catch (error) {
+      // Reported in the failure summary after the scan - progress bar will show overall progress
+      return { albums: [], failure: this.createFailure(artist, error) };
     }
-    
-    return batchResults;
   }
 
   /**
-   * Fetch albums for all artists with batching and rate limiting
+   * Fetch albums for all artists with a bounded pool of concurrent workers
+   * Pacing and retries are handled by the rate limiter behind the API client
    * @param {Array} artists - Array of artist objects
-   * @returns {Promise<Array>} Array of all albums from all artists
+   * @returns {Promise<Array>} Array of all albums, in the order of the artists
    */
   async fetchAllArtistAlbums(artists) {
     console.log('\n--- Retrieving Albums for All Artists ---');
     console.log(`📥 Fetching albums for ${artists.length} artists...`);
-    console.log(`   Using batch size: ${this.batchSize}, delay: ${this.rateLimitDelay}ms\n`);
-
-    const allAlbums = [];
-    const totalBatches = Math.ceil(artists.length / this.batchSize);
+    console.log(`   Using ${this.concurrency} concurrent requests\n`);
+
+    const results = new Array(artists.length);
+    const collectAlbums = () => results.filter(Boolean).flatMap(result => result.albums);
+    this.failedArtists = [];
+    this.searchFailures = [];
+    this.lastError = null;
+    this.cacheStats = { hits: 0, revalidated: 0, misses: 0 };
+    this.resumedArtists = 0;
+
+    // Save progress if the user presses Ctrl+C mid-scan
+    const removeShutdownHook = onShutdown(() => {
+      if (this.progressBar) {
+        this.progressBar.stop();
+      }
+      this.saveCheckpoint();
+      this.saveCache();
+    });
     
     // Initialize progress bar
     this.progressBar = new cliProgress.SingleBar({
@@ -287,28 +379,35 @@ class AlbumRetrieval {
     
     try {
       let processedArtists = 0;
-      
-      for (let i = 0; i < artists.length; i += this.batchSize) {
-        const batchNumber = Math.floor(i / this.batchSize) + 1;
-        const artistBatch = artists.slice(i, i + this.batchSize);
-        
-        this.progressBar.update(processedArtists, { 
-          status: `Batch ${batchNumber}/${totalBatches}` 
-        });
-        
-        const batchAlbums = await this.processBatch(artistBatch, batchNumber);
-        allAlbums.push(...batchAlbums);
-        
-        processedArtists += artistBatch.length;
+      let albumsFound = 0;
+
+      await runWorkerPool(artists, this.concurrency, async (artist, index) => {
+        const saved = this.checkpoint ? this.checkpoint.get(artist.id) : null;
+
+        if (saved) {
+          this.resumedArtists++;
+          results[index] = { albums: saved, failure: null };
+        } else {
+          results[index] = await this.fetchArtistAlbumsSafely(artist);
+
+          if (this.checkpoint && results[index].failure === null) {
+            this.checkpoint.record(artist.id, results[index].albums);
+          }
+        }
+
+        processedArtists++;
+        albumsFound += results[index].albums.length;
         this.progressBar.update(processedArtists, { 
-          status: `${allAlbums.length} albums found` 
+          status: `${albumsFound} albums found` 
         });
-        
-        // Larger delay between batches to be extra respectful
-        if (batchNumber < totalBatches) {
-          await this.delay(this.rateLimitDelay * 2);
-        }
-      }
+      });
+
+      // Report failures in artist order, not completion order
+      this.failedArtists = results
+        .map(result => result.failure)
+        .filter(failure => failure !== null);
+
+      const allAlbums = collectAlbums();
 
       this.progressBar.update(artists.length, { 
         status: `Complete! ${allAlbums.length} total albums` 
@@ -316,6 +415,11 @@ class AlbumRetrieval {
       this.progressBar.stop();
       
       console.log(`\n✅ Retrieved ${allAlbums.length} total albums from ${artists.length} artists`);
+      if (this.resumedArtists > 0) {
+        console.log(`   ${this.resumedArtists} artist(s) taken from the interrupted scan`);
+      }
+      this.saveCheckpoint();
+      this.saveCache();
       return allAlbums;
 
     } catch (error) {
@@ -324,13 +428,47 @@ class AlbumRetrieval {
       }
       console.error('\n❌ Error during album retrieval:', error.message);
       
+      // Keep whatever was fetched before the error
+      this.saveCheckpoint();
+      this.saveCache();
+
       // Return partial results if we got some data
+      const allAlbums = collectAlbums();
       if (allAlbums.length > 0) {
+        this.lastError = error;
         console.log(`⚠️  Returning ${allAlbums.length} albums retrieved before error`);
         return allAlbums;
       }
       
       throw error;
+    } finally {
+      removeShutdownHook();
+    }
+  }
+
+  /**
+   * Write the checkpoint of finished artists to disk, if one is in use
+   */
+  saveCheckpoint() {
+    if (!this.checkpoint) return;
+
+    try {
+      this.checkpoint.flush();
+    } catch (error) {
+      console.warn(`⚠️  Could not save the scan checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the discography cache to disk, if one is in use
+   */
+  saveCache() {
+    if (!this.cache) return;
+
+    try {
+      this.cache.save();
+    } catch (error) {
+      console.warn(`⚠️  Could not save the discography cache: ${error.message}`);
     }
   }
 
@@ -343,19 +481,23 @@ class AlbumRetrieval {
     if (!albums || albums.length === 0) {
       return {
         total: 0,
-        byType: { album: 0, single: 0 },
+        byType: { album: 0, single: 0, compilation: 0 },
+        byGroup: {},
         byYear: {},
         averageTracks: 0,
-        uniqueArtists: 0
+        uniqueArtists: 0,
+        cache: this.cache ? { ...this.cacheStats } : null
       };
     }
 
     const stats = {
       total: albums.length,
-      byType: { album: 0, single: 0 },
+      byType: { album: 0, single: 0, compilation: 0 },
+      byGroup: {},
       byYear: {},
       averageTracks: 0,
-      uniqueArtists: new Set()
+      uniqueArtists: new Set(),
+      cache: this.cache ? { ...this.cacheStats } : null
     };
 
     let totalTracks = 0;
@@ -363,6 +505,9 @@ class AlbumRetrieval {
     albums.forEach(album => {
       // Count by type
       stats.byType[album.album_type]++;
+
+      // Count by group
+      stats.byGroup[album.album_group] = (stats.byGroup[album.album_group] || 0) + 1;
       
       // Count tracks
       totalTracks += album.total_tracks;
@@ -399,14 +544,6 @@ class AlbumRetrieval {
       return year >= cutoffYear;
     });
   }
-
-  /**
-   * Simple delay utility
-   * @param {number} ms - Milliseconds to delay
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = AlbumRetrieval;
\ No newline at end of file
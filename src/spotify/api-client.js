@@ -0,0 +1,98 @@
+/**
+ * Spotify API Client Module
+ * Routes every Web API call through one place so the access token is kept fresh
+ * and requests share one rate limiter
+ */
+
+const RateLimiter = require('./rate-limiter');
+
+// Methods that only touch local credentials or the accounts service
+const PASSTHROUGH_METHODS = /^_|^(get|set|reset)(Credentials|ClientId|ClientSecret|AccessToken|RefreshToken|RedirectURI)$|^(createAuthorizeURL|authorizationCodeGrant|refreshAccessToken|clientCredentialsGrant)$/;
+
+class ApiClient {
+  /**
+   * @param {Object} auth - SpotifyAuth instance owning the tokens
+   * @param {Object} options - Client options
+   * @param {Function} options.onTokenRefresh - Called with { expiresAt, reason } after each refresh
+   * @param {RateLimiter} options.rateLimiter - Request scheduler (default: a RateLimiter with default limits)
+   */
+  constructor(auth, options = {}) {
+    this.auth = auth;
+    this.spotifyApi = auth.spotifyApi;
+    this.onTokenRefresh = options.onTokenRefresh || null;
+    this.rateLimiter = options.rateLimiter || new RateLimiter();
+    this.refreshCount = 0;
+
+    // Drop-in replacement for the spotify-web-api-node instance
+    this.api = new Proxy(this.spotifyApi, {
+      get: (target, property) => {
+        const value = target[property];
+
+        if (typeof value !== 'function' || typeof property !== 'string' || PASSTHROUGH_METHODS.test(property)) {
+          return value;
+        }
+
+        return (...args) => this.request(property, args);
+      }
+    });
+  }
+
+  /**
+   * Call a Spotify API method, refreshing the token ahead of expiry
+   * 429 and 5xx responses are retried by the rate limiter
+   * A 401 response triggers one refresh and a single retry
+   * @param {string} methodName - spotify-web-api-node method name
+   * @param {Array} args - Arguments for the method
+   * @returns {Promise<Object>} API response
+   */
+  async request(methodName, args = []) {
+    await this.refreshToken(false);
+    const tokenUsed = this.spotifyApi.getAccessToken();
+
+    const send = () => this.rateLimiter.schedule(() => this.spotifyApi[methodName](...args));
+
+    try {
+      return await send();
+    } catch (error) {
+      if (error.statusCode !== 401) {
+        throw error;
+      }
+
+      try {
+        // Another request may already have refreshed the token
+        if (this.spotifyApi.getAccessToken() === tokenUsed) {
+          await this.refreshToken(true);
+        }
+      } catch (refreshError) {
+        // Surface the original 401 so callers report an expired session
+        throw error;
+      }
+
+      return send();
+    }
+  }
+
+  /**
+   * Refresh the access token when needed and notify the caller
+   * @param {boolean} force - Refresh even if the token has not expired yet
+   * @returns {Promise<Object|null>} Refreshed tokens, or null if no refresh happened
+   */
+  async refreshToken(force) {
+    const refreshed = await this.auth.ensureValidToken(force);
+
+    if (refreshed) {
+      this.refreshCount++;
+
+      if (this.onTokenRefresh) {
+        this.onTokenRefresh({
+          expiresAt: refreshed.expiresAt,
+          reason: force ? 'unauthorized' : 'expiring'
+        });
+      }
+    }
+
+    return refreshed;
+  }
+}
+
+module.exports = ApiClient;
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Artist Source Registry
+ * Maps the names accepted by the sources setting and --sources flag to artist sources
+ * Every source exposes id, label, icon, fetch(), getStatistics(), getStatisticLines() and getSampleArtists()
+ * A source's id is the name it is registered under, so the names in the setting and on artists match
+ */
+
+const FollowedArtists = require('./followed-artists');
+const LikedArtists = require('./liked-artists');
+const SavedAlbumsArtists = require('./saved-albums-artists');
+const TopArtists = require('./top-artists');
+const RecentlyPlayedArtists = require('./recently-played');
+const PlaylistArtists = require('./playlist-artists');
+const WatchlistArtists = require('./watchlist-artists');
+const PlaylistManager = require('../utils/playlist-manager');
+const ReleaseHistory = require('../utils/release-history');
+const Watchlist = require('../utils/watchlist');
+
+const factories = new Map(); // Source name -> function creating the source
+
+/**
+ * Register an artist source
+ * @param {string} name - Name used in the sources setting, e.g. "liked"
+ * @param {Function} create - Called with (spotifyApi, context), returns a source instance whose id is the name
+ */
+const registerSource = (name, create) => {
+  if (factories.has(name)) {
+    throw new Error(`Artist source "${name}" is already registered`);
+  }
+  factories.set(name, create);
+};
+
+/**
+ * Get the names of all registered sources, in registration order
+ * @returns {Array} Source names
+ */
+const getSourceNames = () => Array.from(factories.keys());
+
+/**
+ * Create a registered source
+ * @param {string} name - Source name
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Object} context - Command context (profile and config)
+ * @returns {Object} Source instance
+ */
+const createSource = (name, spotifyApi, context) => {
+  const create = factories.get(name);
+  if (!create) {
+    throw new Error(`Unknown artist source "${name}". Available: ${getSourceNames().join(', ')}`);
+  }
+  return create(spotifyApi, context);
+};
+
+registerSource('followed', spotifyApi => new FollowedArtists(spotifyApi));
+registerSource('liked', spotifyApi => new LikedArtists(spotifyApi));
+registerSource('saved', spotifyApi => new SavedAlbumsArtists(spotifyApi));
+registerSource('top', (spotifyApi, { config }) => new TopArtists(spotifyApi, { timeRanges: config.topArtists.timeRanges }));
+registerSource('recent', spotifyApi => new RecentlyPlayedArtists(spotifyApi));
+registerSource('playlists', (spotifyApi, { profile, config }) => {
+  const history = new ReleaseHistory(profile.getPath('history.json')).load();
+  const playlistManager = new PlaylistManager(spotifyApi, { ...config.playlist, timezone: config.timezone });
+  return new PlaylistArtists(spotifyApi, playlistManager, {
+    ...config.playlistArtists,
+    generatedIds: history.getPlaylistIds()
+  });
+});
+registerSource('watchlist', (spotifyApi, { profile }) => {
+  return new WatchlistArtists(spotifyApi, new Watchlist(profile.getPath('watchlist.json')).load());
+});
+
+module.exports = {
+  registerSource,
+  getSourceNames,
+  createSource
+};
\ No newline at end of file
@@ -6,6 +6,10 @@
 class FollowedArtists {
   constructor(spotifyApi) {
     this.spotifyApi = spotifyApi;
+    this.id = 'followed'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Followed Artists';
+    this.icon = '🎤';
+    this.lastError = null; // Set when the last run returned partial results
   }
 
   /**
@@ -15,30 +19,25 @@ class FollowedArtists {
    * @returns {Promise<Object>} Page of followed artists
    */
   async fetchPage(after = null, limit = 50) {
-    try {
-      const options = {
-        type: 'artist',
-        limit: Math.min(limit, 50) // Spotify max is 50
-      };
-
-      if (after) {
-        options.after = after;
-      }
+    const options = {
+      type: 'artist',
+      limit: Math.min(limit, 50) // Spotify max is 50
+    };
 
-      const response = await this.spotifyApi.getFollowedArtists(options);
-      return response.body.artists;
-    } catch (error) {
-      if (error.statusCode === 429) {
-        // Rate limited - extract retry-after header
-        const retryAfter = error.headers['retry-after'] || 1;
-        throw new Error(`Rate limited. Retry after ${retryAfter} seconds`);
-      } else if (error.statusCode === 401) {
-        throw new Error('Access token expired. Please re-authenticate');
-      } else if (error.statusCode >= 500) {
-        throw new Error(`Spotify API error: ${error.message}`);
-      }
-      throw error;
+    if (after) {
+      options.after = after;
     }
+
+    const response = await this.spotifyApi.getFollowedArtists(options);
+    return response.body.artists;
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.fetchAll();
   }
 
   /**
@@ -47,6 +46,7 @@ class FollowedArtists {
    */
   async fetchAll() {
     const allArtists = [];
+    this.lastError = null;
     let after = null;
     let totalFetched = 0;
     let totalAvailable = null;
@@ -55,11 +55,6 @@ class FollowedArtists {
 
     try {
       do {
-        // Add small delay to be respectful to API
-        if (after) {
-          await this.delay(100);
-        }
-
         const page = await this.fetchPage(after, 50);
         
         if (page.items && page.items.length > 0) {
@@ -100,6 +95,7 @@ class FollowedArtists {
       
       // Return partial results if we got some data
       if (allArtists.length > 0) {
+        this.lastError = error;
         console.log(`⚠️  Returning ${allArtists.length} artists fetched before error`);
         return allArtists;
       }
@@ -117,6 +113,8 @@ class FollowedArtists {
     if (!artists || artists.length === 0) {
       return {
         total: 0,
+        withSpotifyUrl: 0,
+        missingUrl: 0,
         topGenres: [],
         averagePopularity: 0,
         totalFollowers: 0
@@ -153,8 +151,12 @@ class FollowedArtists {
       .slice(0, 5)
       .map(([genre, count]) => ({ genre, count }));
 
+    const withUrl = artists.filter(artist => artist.spotify_url).length;
+
     return {
       total: artists.length,
+      withSpotifyUrl: withUrl,
+      missingUrl: artists.length - withUrl,
       topGenres,
       averagePopularity: Math.round(totalPopularity / artists.length),
       totalFollowers
@@ -162,11 +164,39 @@ class FollowedArtists {
   }
 
   /**
-   * Simple delay utility
-   * @param {number} ms - Milliseconds to delay
+   * Get the statistic lines specific to followed artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  getStatisticLines(artists) {
+    const stats = this.getStatistics(artists);
+    const lines = [
+      `Average popularity: ${stats.averagePopularity}/100`,
+      `Total followers: ${stats.totalFollowers.toLocaleString()}`
+    ];
+
+    if (stats.topGenres.length > 0) {
+      lines.push('Top genres:');
+      stats.topGenres.forEach((genre, i) => {
+        lines.push(`  ${i + 1}. ${genre.genre} (${genre.count} artists)`);
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Get sample artists for display, in the order Spotify returned them
+   * @param {Array} artists - Array of artist objects
+   * @param {number} count - Number of samples to return
+   * @returns {Array} Sample artists
+   */
+  getSampleArtists(artists, count = 5) {
+    if (!artists || artists.length === 0) {
+      return [];
+    }
+
+    return artists.slice(0, count);
   }
 }
 
@@ -6,6 +6,10 @@
 class LikedArtists {
   constructor(spotifyApi) {
     this.spotifyApi = spotifyApi;
+    this.id = 'liked'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Liked Tracks';
+    this.icon = '🎵';
+    this.lastError = null; // Set when the last run returned partial results
   }
 
   /**
@@ -15,27 +19,22 @@ class LikedArtists {
    * @returns {Promise<Object>} Page of saved tracks
    */
   async fetchTracksPage(offset = 0, limit = 50) {
-    try {
-      const options = {
-        limit: Math.min(limit, 50), // Spotify max is 50
-        offset: offset,
-        market: 'from_token' // Use user's market
-      };
+    const options = {
+      limit: Math.min(limit, 50), // Spotify max is 50
+      offset: offset,
+      market: 'from_token' // Use user's market
+    };
 
-      const response = await this.spotifyApi.getMySavedTracks(options);
-      return response.body;
-    } catch (error) {
-      if (error.statusCode === 429) {
-        // Rate limited - extract retry-after header
-        const retryAfter = error.headers['retry-after'] || 1;
-        throw new Error(`Rate limited. Retry after ${retryAfter} seconds`);
-      } else if (error.statusCode === 401) {
-        throw new Error('Access token expired. Please re-authenticate');
-      } else if (error.statusCode >= 500) {
-        throw new Error(`Spotify API error: ${error.message}`);
-      }
-      throw error;
-    }
+    const response = await this.spotifyApi.getMySavedTracks(options);
+    return response.body;
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.extractAll();
   }
 
   /**
@@ -44,6 +43,7 @@ class LikedArtists {
    */
   async extractAll() {
     const artistsMap = new Map(); // Use Map for O(1) deduplication by artist ID
+    this.lastError = null;
     let offset = 0;
     let totalFetched = 0;
     let totalTracks = null;
@@ -52,11 +52,6 @@ class LikedArtists {
 
     try {
       do {
-        // Add small delay to be respectful to API
-        if (offset > 0) {
-          await this.delay(100);
-        }
-
         const page = await this.fetchTracksPage(offset, 50);
         
         // Store total on first page
@@ -110,6 +105,7 @@ class LikedArtists {
       // Return partial results if we got some data
       const partialArtists = Array.from(artistsMap.values());
       if (partialArtists.length > 0) {
+        this.lastError = error;
         console.log(`⚠️  Returning ${partialArtists.length} artists extracted before error`);
         return partialArtists;
       }
@@ -142,6 +138,15 @@ class LikedArtists {
     };
   }
 
+  /**
+   * Get the statistic lines specific to liked track artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
+   */
+  getStatisticLines(artists) {
+    return [];
+  }
+
   /**
    * Get sample artists for display
    * @param {Array} artists - Array of artist objects
@@ -160,14 +165,6 @@ class LikedArtists {
 
     return sortedArtists.slice(0, count);
   }
-
-  /**
-   * Simple delay utility
-   * @param {number} ms - Milliseconds to delay
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = LikedArtists;
\ No newline at end of file
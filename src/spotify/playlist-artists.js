@@ -0,0 +1,201 @@
+/**
+ * Playlist Artists Extraction Module
+ * Extracts unique artists from the user's own and followed playlists
+ * Playlists generated by this app are always skipped so releases do not feed back into the artist list
+ */
+
+class PlaylistArtists {
+  /**
+   * @param {Object} spotifyApi - Spotify API instance
+   * @param {PlaylistManager} playlistManager - Playlist manager used to page through playlists and recognise generated ones
+   * @param {Object} options - Selection options
+   * @param {Array} options.ids - Playlist IDs to read, including playlists not in the library (default: none)
+   * @param {string} options.namePattern - Regular expression matched against playlist names (optional)
+   * @param {boolean} options.allOwned - Read every playlist the user owns (default: true)
+   * @param {Set} options.generatedIds - IDs of playlists this app created, from the release history (optional)
+   */
+  constructor(spotifyApi, playlistManager, options = {}) {
+    this.spotifyApi = spotifyApi;
+    this.id = 'playlists'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Playlists';
+    this.icon = '📋';
+    this.playlistManager = playlistManager;
+    this.ids = options.ids || [];
+    this.namePattern = options.namePattern ? new RegExp(options.namePattern, 'i') : null;
+    this.allOwned = options.allOwned !== false;
+    this.generatedIds = options.generatedIds || new Set();
+    this.lastError = null; // Set when the last run returned partial results
+    this.lastSelection = { playlists: [], generated: 0 };
+  }
+
+  /**
+   * Pick the playlists to read
+   * @param {Array} playlists - Playlists the user owns or follows
+   * @param {string} userId - Spotify ID of the current user
+   * @returns {Object} Object with playlists (selected) and generated (number of generated playlists skipped)
+   */
+  selectPlaylists(playlists, userId) {
+    const selected = new Map();
+    let generated = 0;
+
+    playlists.forEach(playlist => {
+      const wanted = this.ids.includes(playlist.id) ||
+        (this.namePattern !== null && this.namePattern.test(playlist.name)) ||
+        (this.allOwned && playlist.owner && playlist.owner.id === userId);
+
+      if (!wanted) return;
+
+      if (this.playlistManager.isGeneratedPlaylist(playlist, this.generatedIds)) {
+        generated++;
+        return;
+      }
+
+      selected.set(playlist.id, { id: playlist.id, name: playlist.name });
+    });
+
+    // Listed IDs that are not in the library are read directly
+    this.ids
+      .filter(id => !selected.has(id) && !playlists.some(playlist => playlist.id === id) && !this.generatedIds.has(id))
+      .forEach(id => selected.set(id, { id, name: id }));
+
+    return { playlists: Array.from(selected.values()), generated };
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.extractAll();
+  }
+
+  /**
+   * Extract all unique artists from the selected playlists
+   * @returns {Promise<Array>} Array of unique artists with the playlists they appear in
+   */
+  async extractAll() {
+    const artistsMap = new Map(); // Use Map for O(1) deduplication by artist ID
+    this.lastError = null;
+
+    console.log('📥 Fetching playlists to extract artists...');
+
+    try {
+      const me = await this.spotifyApi.getMe();
+      const playlists = await this.playlistManager.getUserPlaylists();
+      this.lastSelection = this.selectPlaylists(playlists, me.body.id);
+
+      const { playlists: selected, generated } = this.lastSelection;
+      console.log(`   Reading ${selected.length} playlist(s)${generated > 0 ? `, skipping ${generated} generated release playlist(s)` : ''}`);
+
+      for (const playlist of selected) {
+        const tracks = await this.playlistManager.getPlaylistTracks(playlist.id);
+
+        tracks.forEach(track => {
+          (track.artists || []).forEach(artist => {
+            if (!artist.id) return; // Local files have artists without IDs
+
+            if (artistsMap.has(artist.id)) {
+              const existing = artistsMap.get(artist.id);
+              existing.tracks++;
+              if (!existing.playlists.includes(playlist.name)) {
+                existing.playlists.push(playlist.name);
+              }
+              return;
+            }
+
+            artistsMap.set(artist.id, {
+              id: artist.id,
+              name: artist.name,
+              spotify_url: artist.external_urls ? artist.external_urls.spotify : null,
+              tracks: 1,
+              playlists: [playlist.name]
+            });
+          });
+        });
+
+        console.log(`   Processed "${playlist.name}" (${tracks.length} tracks), found ${artistsMap.size} unique artists...`);
+      }
+
+      const uniqueArtists = Array.from(artistsMap.values());
+
+      console.log(`✅ Extracted ${uniqueArtists.length} unique artists from ${selected.length} playlist(s)`);
+      return uniqueArtists;
+
+    } catch (error) {
+      console.error('❌ Error extracting artists from playlists:', error.message);
+
+      // Return partial results if we got some data
+      const partialArtists = Array.from(artistsMap.values());
+      if (partialArtists.length > 0) {
+        this.lastError = error;
+        console.log(`⚠️  Returning ${partialArtists.length} artists extracted before error`);
+        return partialArtists;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics about playlist artists
+   * @param {Array} artists - Array of artist objects
+   * @returns {Object} Statistics object
+   */
+  getStatistics(artists) {
+    const playlists = this.lastSelection.playlists.length;
+    const generatedSkipped = this.lastSelection.generated;
+
+    if (!artists || artists.length === 0) {
+      return {
+        total: 0,
+        withSpotifyUrl: 0,
+        missingUrl: 0,
+        playlists,
+        generatedSkipped
+      };
+    }
+
+    const withUrl = artists.filter(artist => artist.spotify_url).length;
+
+    return {
+      total: artists.length,
+      withSpotifyUrl: withUrl,
+      missingUrl: artists.length - withUrl,
+      playlists,
+      generatedSkipped
+    };
+  }
+
+  /**
+   * Get the statistic lines specific to playlist artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
+   */
+  getStatisticLines(artists) {
+    const { playlists, generatedSkipped } = this.getStatistics(artists);
+    const lines = [`Playlists read: ${playlists}`];
+    if (generatedSkipped > 0) {
+      lines.push(`Generated release playlists skipped: ${generatedSkipped}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Get sample artists for display, most tracks first
+   * @param {Array} artists - Array of artist objects
+   * @param {number} count - Number of samples to return
+   * @returns {Array} Sample artists
+   */
+  getSampleArtists(artists, count = 5) {
+    if (!artists || artists.length === 0) {
+      return [];
+    }
+
+    return artists
+      .slice()
+      .sort((a, b) => b.tracks - a.tracks || a.name.localeCompare(b.name))
+      .slice(0, count);
+  }
+}
+
+module.exports = PlaylistArtists;
\ No newline at end of file
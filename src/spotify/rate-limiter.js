@@ -0,0 +1,144 @@
+/**
+ * Rate Limiter Module
+ * Schedules every Spotify Web API request through one token bucket
+ * A 429 pauses all requests for the Retry-After period, 5xx responses back off with jitter
+ */
+
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {number} options.requestsPerSecond - Sustained request rate (default: 10)
+   * @param {number} options.burst - Requests allowed at once before pacing starts (default: 10)
+   * @param {number} options.maxRetries - Retries for a request after 429 or 5xx responses (default: 5)
+   * @param {number} options.baseBackoffMs - First backoff delay for 5xx responses (default: 500)
+   * @param {number} options.maxBackoffMs - Longest backoff delay for 5xx responses (default: 30000)
+   * @param {Function} options.onPause - Called with { waitMs, reason } when requests are paused (optional)
+   */
+  constructor(options = {}) {
+    this.requestsPerSecond = options.requestsPerSecond || 10;
+    this.burst = options.burst || 10;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 5;
+    this.baseBackoffMs = options.baseBackoffMs || 500;
+    this.maxBackoffMs = options.maxBackoffMs || 30000;
+    this.onPause = options.onPause || null;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0; // Set from Retry-After, shared by every pending request
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, serverErrors: 0 };
+  }
+
+  /**
+   * Run a request once a token is available, retrying 429 and 5xx responses
+   * @param {Function} requestFn - Function returning the request promise
+   * @returns {Promise<*>} Result of the request
+   */
+  async schedule(requestFn) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      this.stats.requests++;
+
+      try {
+        return await requestFn();
+      } catch (error) {
+        const retryable = error.statusCode === 429 || error.statusCode >= 500;
+        if (!retryable || attempt >= this.maxRetries) {
+          error.attempts = attempt + 1;
+          throw error;
+        }
+
+        this.stats.retries++;
+
+        if (error.statusCode === 429) {
+          this.stats.rateLimited++;
+          this.pause(this.getRetryAfterMs(error));
+        } else {
+          this.stats.serverErrors++;
+          await this.delay(this.getBackoffMs(attempt));
+        }
+      }
+    }
+  }
+
+  /**
+   * Wait until any pause is over and a token can be taken from the bucket
+   */
+  async acquire() {
+    while (true) {
+      const now = Date.now();
+
+      if (now < this.pausedUntil) {
+        await this.delay(this.pausedUntil - now);
+        continue;
+      }
+
+      this.refill(now);
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await this.delay(Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond));
+    }
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   * @param {number} now - Current time (ms since epoch)
+   */
+  refill(now) {
+    const elapsedSeconds = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.requestsPerSecond);
+    this.lastRefill = Math.max(now, this.lastRefill);
+  }
+
+  /**
+   * Pause all requests, including ones already waiting for a token
+   * @param {number} waitMs - Pause length in milliseconds
+   */
+  pause(waitMs) {
+    const until = Date.now() + waitMs;
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    // Start slowly again after the pause: the paused time earns no tokens
+    this.tokens = 0;
+    this.lastRefill = until;
+
+    if (this.onPause) {
+      this.onPause({ waitMs, reason: 'rate-limited' });
+    }
+  }
+
+  /**
+   * Read the Retry-After header of a 429 response
+   * @param {Object} error - Spotify API error
+   * @returns {number} Wait time in milliseconds
+   */
+  getRetryAfterMs(error) {
+    const header = error.headers && error.headers['retry-after'];
+    const seconds = parseInt(header, 10);
+    return (Number.isNaN(seconds) ? 1 : seconds) * 1000;
+  }
+
+  /**
+   * Exponential backoff with full jitter
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffMs(attempt) {
+    const ceiling = Math.min(this.maxBackoffMs, this.baseBackoffMs * Math.pow(2, attempt));
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Simple delay utility
+   * @param {number} ms - Milliseconds to delay
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = RateLimiter;
\ No newline at end of file
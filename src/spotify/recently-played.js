@@ -0,0 +1,171 @@
+/**
+ * Recently Played Artists Extraction Module
+ * Extracts unique artists from the user's recently played tracks on Spotify
+ * Spotify only keeps the last 50 plays, so this source changes from run to run
+ */
+
+class RecentlyPlayedArtists {
+  constructor(spotifyApi) {
+    this.spotifyApi = spotifyApi;
+    this.id = 'recent'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Recently Played';
+    this.icon = '🕒';
+    this.lastError = null; // Set when the last run returned partial results
+  }
+
+  /**
+   * Fetch a single page of recently played tracks
+   * @param {number} before - Only return plays before this Unix timestamp in milliseconds (optional)
+   * @param {number} limit - Number of plays to fetch (max 50)
+   * @returns {Promise<Object>} Page of play history items
+   */
+  async fetchPage(before = null, limit = 50) {
+    try {
+      const options = {
+        limit: Math.min(limit, 50) // Spotify max is 50
+      };
+
+      if (before) {
+        options.before = before;
+      }
+
+      const response = await this.spotifyApi.getMyRecentlyPlayedTracks(options);
+      return response.body;
+    } catch (error) {
+      // 429 and 5xx responses were already retried by the shared rate limiter
+      if (error.statusCode === 403) {
+        const permissionError = new Error('Missing permission to read recently played tracks. Run "auth login" again');
+        permissionError.statusCode = error.statusCode;
+        permissionError.attempts = error.attempts;
+        throw permissionError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.extractAll();
+  }
+
+  /**
+   * Extract all unique artists from recently played tracks
+   * @returns {Promise<Array>} Array of unique artists with their play count
+   */
+  async extractAll() {
+    const artistsMap = new Map(); // Use Map for O(1) deduplication by artist ID
+    this.lastError = null;
+    let before = null;
+    let totalPlays = 0;
+
+    console.log('📥 Fetching recently played tracks to extract artists...');
+
+    try {
+      while (true) {
+        const page = await this.fetchPage(before, 50);
+
+        if (!page.items || page.items.length === 0) {
+          break;
+        }
+
+        page.items.forEach(item => {
+          if (item.track && item.track.artists) {
+            item.track.artists.forEach(artist => {
+              if (artistsMap.has(artist.id)) {
+                artistsMap.get(artist.id).plays++;
+                return;
+              }
+
+              artistsMap.set(artist.id, {
+                id: artist.id,
+                name: artist.name,
+                spotify_url: artist.external_urls ? artist.external_urls.spotify : null,
+                plays: 1
+              });
+            });
+          }
+        });
+
+        totalPlays += page.items.length;
+
+        // Follow the cursor to older plays while Spotify offers them
+        if (!page.next || !page.cursors || !page.cursors.before || page.cursors.before === before) {
+          break;
+        }
+        before = page.cursors.before;
+      }
+
+      const uniqueArtists = Array.from(artistsMap.values());
+
+      console.log(`✅ Extracted ${uniqueArtists.length} unique artists from ${totalPlays} recent plays`);
+      return uniqueArtists;
+
+    } catch (error) {
+      console.error('❌ Error extracting artists from recently played tracks:', error.message);
+
+      // Return partial results if we got some data
+      const partialArtists = Array.from(artistsMap.values());
+      if (partialArtists.length > 0) {
+        this.lastError = error;
+        console.log(`⚠️  Returning ${partialArtists.length} artists extracted before error`);
+        return partialArtists;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics about recently played artists
+   * @param {Array} artists - Array of artist objects
+   * @returns {Object} Statistics object
+   */
+  getStatistics(artists) {
+    if (!artists || artists.length === 0) {
+      return {
+        total: 0,
+        withSpotifyUrl: 0,
+        missingUrl: 0
+      };
+    }
+
+    const withUrl = artists.filter(artist => artist.spotify_url).length;
+
+    return {
+      total: artists.length,
+      withSpotifyUrl: withUrl,
+      missingUrl: artists.length - withUrl
+    };
+  }
+
+  /**
+   * Get the statistic lines specific to recently played artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
+   */
+  getStatisticLines(artists) {
+    return [];
+  }
+
+  /**
+   * Get sample artists for display, most played first
+   * @param {Array} artists - Array of artist objects
+   * @param {number} count - Number of samples to return
+   * @returns {Array} Sample artists
+   */
+  getSampleArtists(artists, count = 5) {
+    if (!artists || artists.length === 0) {
+      return [];
+    }
+
+    return artists
+      .slice()
+      .sort((a, b) => b.plays - a.plays || a.name.localeCompare(b.name))
+      .slice(0, count);
+  }
+}
+
+module.exports = RecentlyPlayedArtists;
\ No newline at end of file
@@ -6,6 +6,10 @@
 class SavedAlbumsArtists {
   constructor(spotifyApi) {
     this.spotifyApi = spotifyApi;
+    this.id = 'saved'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Saved Albums';
+    this.icon = '💿';
+    this.lastError = null; // Set when the last run returned partial results
   }
 
   /**
@@ -15,27 +19,22 @@ class SavedAlbumsArtists {
    * @returns {Promise<Object>} Page of saved albums
    */
   async fetchAlbumsPage(offset = 0, limit = 50) {
-    try {
-      const options = {
-        limit: Math.min(limit, 50), // Spotify max is 50
-        offset: offset,
-        market: 'from_token' // Use user's market
-      };
+    const options = {
+      limit: Math.min(limit, 50), // Spotify max is 50
+      offset: offset,
+      market: 'from_token' // Use user's market
+    };
 
-      const response = await this.spotifyApi.getMySavedAlbums(options);
-      return response.body;
-    } catch (error) {
-      if (error.statusCode === 429) {
-        // Rate limited - extract retry-after header
-        const retryAfter = error.headers['retry-after'] || 1;
-        throw new Error(`Rate limited. Retry after ${retryAfter} seconds`);
-      } else if (error.statusCode === 401) {
-        throw new Error('Access token expired. Please re-authenticate');
-      } else if (error.statusCode >= 500) {
-        throw new Error(`Spotify API error: ${error.message}`);
-      }
-      throw error;
-    }
+    const response = await this.spotifyApi.getMySavedAlbums(options);
+    return response.body;
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.extractAll();
   }
 
   /**
@@ -44,6 +43,7 @@ class SavedAlbumsArtists {
    */
   async extractAll() {
     const artistsMap = new Map(); // Use Map for O(1) deduplication by artist ID
+    this.lastError = null;
     let offset = 0;
     let totalFetched = 0;
     let totalAlbums = null;
@@ -53,11 +53,6 @@ class SavedAlbumsArtists {
 
     try {
       while (hasMoreItems && (totalAlbums === null || offset < totalAlbums)) {
-        // Add small delay to be respectful to API
-        if (offset > 0) {
-          await this.delay(100);
-        }
-
         const page = await this.fetchAlbumsPage(offset, 50);
         
         // Store total on first page
@@ -111,6 +106,7 @@ class SavedAlbumsArtists {
       // Return partial results if we got some data
       const partialArtists = Array.from(artistsMap.values());
       if (partialArtists.length > 0) {
+        this.lastError = error;
         console.log(`⚠️  Returning ${partialArtists.length} artists extracted before error`);
         return partialArtists;
       }
@@ -143,6 +139,15 @@ class SavedAlbumsArtists {
     };
   }
 
+  /**
+   * Get the statistic lines specific to saved album artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
+   */
+  getStatisticLines(artists) {
+    return [];
+  }
+
   /**
    * Get sample artists for display
    * @param {Array} artists - Array of artist objects
@@ -161,14 +166,6 @@ class SavedAlbumsArtists {
 
     return sortedArtists.slice(0, count);
   }
-
-  /**
-   * Simple delay utility
-   * @param {number} ms - Milliseconds to delay
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = SavedAlbumsArtists;
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * Top Artists Retrieval Module
+ * Fetches the user's most listened artists over the short, medium and long term
+ */
+
+const TIME_RANGES = ['short_term', 'medium_term', 'long_term'];
+
+class TopArtists {
+  /**
+   * @param {Object} spotifyApi - Spotify API instance
+   * @param {Object} options - Source options
+   * @param {Array} options.timeRanges - Time ranges to fetch (default: short_term, medium_term and long_term)
+   */
+  constructor(spotifyApi, options = {}) {
+    this.spotifyApi = spotifyApi;
+    this.id = 'top'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Top Artists';
+    this.icon = '🔥';
+    this.timeRanges = options.timeRanges || TIME_RANGES;
+    this.lastError = null; // Set when the last run returned partial results
+  }
+
+  /**
+   * Fetch a single page of top artists
+   * @param {string} timeRange - 'short_term' (about 4 weeks), 'medium_term' (about 6 months) or 'long_term' (about a year)
+   * @param {number} offset - Offset for pagination
+   * @param {number} limit - Number of artists to fetch (max 50)
+   * @returns {Promise<Object>} Page of top artists
+   */
+  async fetchPage(timeRange, offset = 0, limit = 50) {
+    try {
+      const response = await this.spotifyApi.getMyTopArtists({
+        time_range: timeRange,
+        limit: Math.min(limit, 50), // Spotify max is 50
+        offset: offset
+      });
+      return response.body;
+    } catch (error) {
+      // 429 and 5xx responses were already retried by the shared rate limiter
+      if (error.statusCode === 403) {
+        const permissionError = new Error('Missing permission to read top artists. Run "auth login" again');
+        permissionError.statusCode = error.statusCode;
+        permissionError.attempts = error.attempts;
+        throw permissionError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.fetchAll();
+  }
+
+  /**
+   * Fetch top artists for every configured time range, deduplicated by artist ID
+   * @returns {Promise<Array>} Array of top artists with the time ranges they appear in
+   */
+  async fetchAll() {
+    const artistsMap = new Map(); // Use Map for O(1) deduplication by artist ID
+    this.lastError = null;
+
+    console.log(`📥 Fetching top artists (${this.timeRanges.join(', ')})...`);
+
+    try {
+      for (const timeRange of this.timeRanges) {
+        let offset = 0;
+        let total = null;
+
+        do {
+          const page = await this.fetchPage(timeRange, offset, 50);
+          total = page.total;
+
+          if (!page.items || page.items.length === 0) {
+            break;
+          }
+
+          page.items.forEach(artist => {
+            if (artistsMap.has(artist.id)) {
+              artistsMap.get(artist.id).time_ranges.push(timeRange);
+              return;
+            }
+
+            artistsMap.set(artist.id, {
+              id: artist.id,
+              name: artist.name,
+              spotify_url: artist.external_urls ? artist.external_urls.spotify : null,
+              genres: artist.genres || [],
+              popularity: artist.popularity || 0,
+              followers: artist.followers ? artist.followers.total : 0,
+              time_ranges: [timeRange]
+            });
+          });
+
+          offset += page.items.length;
+        } while (offset < total);
+      }
+
+      const uniqueArtists = Array.from(artistsMap.values());
+
+      console.log(`✅ Found ${uniqueArtists.length} unique top artists`);
+      return uniqueArtists;
+
+    } catch (error) {
+      console.error('❌ Error fetching top artists:', error.message);
+
+      // Return partial results if we got some data
+      const partialArtists = Array.from(artistsMap.values());
+      if (partialArtists.length > 0) {
+        this.lastError = error;
+        console.log(`⚠️  Returning ${partialArtists.length} artists fetched before error`);
+        return partialArtists;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics about top artists
+   * @param {Array} artists - Array of artist objects
+   * @returns {Object} Statistics object
+   */
+  getStatistics(artists) {
+    if (!artists || artists.length === 0) {
+      return {
+        total: 0,
+        withSpotifyUrl: 0,
+        missingUrl: 0,
+        byTimeRange: {}
+      };
+    }
+
+    const withUrl = artists.filter(artist => artist.spotify_url).length;
+    const byTimeRange = {};
+    artists.forEach(artist => {
+      artist.time_ranges.forEach(timeRange => {
+        byTimeRange[timeRange] = (byTimeRange[timeRange] || 0) + 1;
+      });
+    });
+
+    return {
+      total: artists.length,
+      withSpotifyUrl: withUrl,
+      missingUrl: artists.length - withUrl,
+      byTimeRange
+    };
+  }
+
+  /**
+   * Get the statistic lines specific to top artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
+   */
+  getStatisticLines(artists) {
+    const { byTimeRange } = this.getStatistics(artists);
+    return Object.entries(byTimeRange).map(([timeRange, count]) => `In ${timeRange.replace('_', ' ')}: ${count}`);
+  }
+
+  /**
+   * Get sample artists for display, most popular first
+   * @param {Array} artists - Array of artist objects
+   * @param {number} count - Number of samples to return
+   * @returns {Array} Sample artists
+   */
+  getSampleArtists(artists, count = 5) {
+    if (!artists || artists.length === 0) {
+      return [];
+    }
+
+    return artists
+      .slice()
+      .sort((a, b) => b.popularity - a.popularity || a.name.localeCompare(b.name))
+      .slice(0, count);
+  }
+}
+
+TopArtists.TIME_RANGES = TIME_RANGES;
+
+module.exports = TopArtists;
\ No newline at end of file
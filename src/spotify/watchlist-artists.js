@@ -0,0 +1,196 @@
+/**
+ * Watchlist Artists Module
+ * Resolves the artists on the watchlist, looking up IDs and searching for names
+ */
+
+const Watchlist = require('../utils/watchlist');
+
+class WatchlistArtists {
+  /**
+   * @param {Object} spotifyApi - Spotify API instance
+   * @param {Watchlist} watchlist - Loaded watchlist
+   */
+  constructor(spotifyApi, watchlist) {
+    this.spotifyApi = spotifyApi;
+    this.id = 'watchlist'; // Name in the sources setting, also recorded on each artist
+    this.label = 'Watchlist';
+    this.icon = '📌';
+    this.watchlist = watchlist;
+    this.lastError = null; // Set when the last run returned partial results
+    this.unresolved = []; // Names that matched no artist or several
+  }
+
+  /**
+   * Fetch the artists of this source
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  fetch() {
+    return this.resolveAll();
+  }
+
+  /**
+   * Convert a Spotify artist object into a tracked artist
+   * @param {Object} artist - Spotify artist object
+   * @returns {Object} Artist with id, name, spotify_url, genres, popularity and followers
+   */
+  formatArtist(artist) {
+    return {
+      id: artist.id,
+      name: artist.name,
+      spotify_url: artist.external_urls ? artist.external_urls.spotify : null,
+      genres: artist.genres || [],
+      popularity: artist.popularity || 0,
+      followers: artist.followers ? artist.followers.total : 0
+    };
+  }
+
+  /**
+   * Look up artists by ID, 50 at a time
+   * @param {Array} artistIds - Spotify artist IDs
+   * @returns {Promise<Array>} Artists found, unknown IDs are left out
+   */
+  async getArtists(artistIds) {
+    const artists = [];
+
+    for (let i = 0; i < artistIds.length; i += 50) {
+      const response = await this.spotifyApi.getArtists(artistIds.slice(i, i + 50));
+      response.body.artists
+        .filter(Boolean)
+        .forEach(artist => artists.push(this.formatArtist(artist)));
+    }
+
+    return artists;
+  }
+
+  /**
+   * Find the artists a watchlist reference could mean
+   * IDs and URLs resolve to one artist; names are searched and exact name matches are returned first
+   * @param {string} reference - Artist ID, Spotify URL or name
+   * @returns {Promise<Object>} Object with candidates (artists) and exact (candidates whose name matches exactly)
+   */
+  async findCandidates(reference) {
+    const artistId = Watchlist.parseArtistId(reference);
+
+    if (artistId) {
+      const artists = await this.getArtists([artistId]);
+      return { candidates: artists, exact: artists };
+    }
+
+    const name = reference.trim();
+    const response = await this.spotifyApi.searchArtists(name, { limit: 10 });
+    const candidates = response.body.artists.items.map(artist => this.formatArtist(artist));
+    const exact = candidates.filter(artist => artist.name.toLowerCase() === name.toLowerCase());
+
+    return { candidates, exact };
+  }
+
+  /**
+   * Resolve every watchlist entry to an artist
+   * Stored { id, name } entries are used as they are; names are only accepted when exactly one artist has that name
+   * @returns {Promise<Array>} Array of unique artists
+   */
+  async resolveAll() {
+    const artistsMap = new Map(); // Use Map for O(1) deduplication by artist ID
+    const entries = this.watchlist.getEntries();
+    this.lastError = null;
+    this.unresolved = [];
+
+    if (entries.length === 0) {
+      console.log('📭 The watchlist is empty (add artists with "watch add <artist>")');
+      return [];
+    }
+
+    console.log(`📥 Resolving ${entries.length} watchlist entries...`);
+
+    try {
+      const idsToLookUp = [];
+
+      for (const entry of entries) {
+        if (typeof entry !== 'string') {
+          artistsMap.set(entry.id, { id: entry.id, name: entry.name || entry.id, spotify_url: `https://open.spotify.com/artist/${entry.id}` });
+          continue;
+        }
+
+        const artistId = Watchlist.parseArtistId(entry);
+        if (artistId) {
+          idsToLookUp.push(artistId);
+          continue;
+        }
+
+        const { exact } = await this.findCandidates(entry);
+        if (exact.length === 1) {
+          artistsMap.set(exact[0].id, exact[0]);
+        } else {
+          this.unresolved.push(entry);
+          console.log(`⚠️  "${entry}" matches ${exact.length === 0 ? 'no artist by that exact name' : `${exact.length} artists`}, run "watch add ${entry}" to pick one`);
+        }
+      }
+
+      const artists = await this.getArtists(idsToLookUp);
+      artists.forEach(artist => artistsMap.set(artist.id, artist));
+
+      const uniqueArtists = Array.from(artistsMap.values());
+
+      console.log(`✅ Resolved ${uniqueArtists.length} watchlist artists`);
+      return uniqueArtists;
+
+    } catch (error) {
+      console.error('❌ Error resolving watchlist artists:', error.message);
+
+      // Return partial results if we got some data
+      const partialArtists = Array.from(artistsMap.values());
+      if (partialArtists.length > 0) {
+        this.lastError = error;
+        console.log(`⚠️  Returning ${partialArtists.length} artists resolved before error`);
+        return partialArtists;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics about watchlist artists
+   * @param {Array} artists - Array of artist objects
+   * @returns {Object} Statistics object
+   */
+  getStatistics(artists) {
+    const withUrl = (artists || []).filter(artist => artist.spotify_url).length;
+
+    return {
+      total: artists ? artists.length : 0,
+      withSpotifyUrl: withUrl,
+      missingUrl: (artists ? artists.length : 0) - withUrl,
+      unresolved: this.unresolved.length
+    };
+  }
+
+  /**
+   * Get the statistic lines specific to watchlist artists, printed after the totals
+   * @param {Array} artists - Array of artist objects
+   * @returns {Array} Lines of text
+   */
+  getStatisticLines(artists) {
+    const { unresolved } = this.getStatistics(artists);
+    return unresolved > 0 ? [`Names that could not be resolved: ${unresolved}`] : [];
+  }
+
+  /**
+   * Get sample artists for display
+   * @param {Array} artists - Array of artist objects
+   * @param {number} count - Number of samples to return
+   * @returns {Array} Sample artists
+   */
+  getSampleArtists(artists, count = 5) {
+    if (!artists || artists.length === 0) {
+      return [];
+    }
+
+    return artists
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(0, count);
+  }
+}
+
+module.exports = WatchlistArtists;
\ No newline at end of file
@@ -1,35 +1,30 @@
 /**
  * Artist List Management Module
- * Combines and manages artists from multiple sources (followed, liked tracks, saved albums)
+ * Combines and manages artists from the sources registered in artist-sources.js
  */
 
 class ArtistManager {
   constructor() {
     this.combinedArtists = new Map(); // Use Map for efficient deduplication by artist ID
+    this.sources = []; // { id, label } of every combined source, in order
   }
 
   /**
    * Combine artists from multiple sources into a single deduplicated list
-   * @param {Array} followedArtists - Artists from followed list
-   * @param {Array} likedTrackArtists - Artists from liked tracks
-   * @param {Array} savedAlbumArtists - Artists from saved albums
+   * @param {Array} results - Array of { source, artists } objects, one per source from artist-sources.js
    * @returns {Array} Combined and deduplicated artist list
    */
-  combineArtistSources(followedArtists = [], likedTrackArtists = [], savedAlbumArtists = []) {
+  combineArtistSources(results = []) {
     console.log('\n--- Combining Artist Lists ---');
     console.log('🔄 Merging artists from all sources...');
 
     // Clear any existing data
     this.combinedArtists.clear();
+    this.sources = results.map(({ source }) => ({ id: source.id, label: source.label }));
 
-    // Process followed artists
-    this.addArtistsFromSource(followedArtists, 'followed');
-    
-    // Process liked track artists
-    this.addArtistsFromSource(likedTrackArtists, 'liked_tracks');
-    
-    // Process saved album artists
-    this.addArtistsFromSource(savedAlbumArtists, 'saved_albums');
+    results.forEach(({ source, artists }) => {
+      this.addArtistsFromSource(artists, source.id);
+    });
 
     // Convert Map to Array with combined source information
     const finalArtists = Array.from(this.combinedArtists.values());
@@ -73,7 +68,7 @@ class ArtistManager {
           name: artist.name,
           spotify_url: artist.spotify_url,
           sources: [sourceName],
-          // Preserve additional data from followed artists if available
+          // Preserve additional data from followed and top artists if available
           ...(artist.genres && { genres: artist.genres }),
           ...(artist.popularity && { popularity: artist.popularity }),
           ...(artist.followers && { followers: artist.followers })
@@ -106,25 +101,25 @@ class ArtistManager {
 
     const stats = {
       total: artists.length,
-      bySource: {
-        followed: 0,
-        liked_tracks: 0,
-        saved_albums: 0
-      },
+      bySource: {},
       multipleSourceCount: 0,
       withGenres: 0,
       withPopularity: 0,
       averagePopularity: 0
     };
 
+    this.sources.forEach(({ id }) => {
+      stats.bySource[id] = 0;
+    });
+
     let totalPopularity = 0;
     let popularityCount = 0;
 
     artists.forEach(artist => {
       // Count by source
-      if (artist.sources.includes('followed')) stats.bySource.followed++;
-      if (artist.sources.includes('liked_tracks')) stats.bySource.liked_tracks++;
-      if (artist.sources.includes('saved_albums')) stats.bySource.saved_albums++;
+      artist.sources.forEach(sourceId => {
+        stats.bySource[sourceId] = (stats.bySource[sourceId] || 0) + 1;
+      });
 
       // Count artists with multiple sources
       if (artist.sources.length > 1) {
@@ -199,6 +194,35 @@ class ArtistManager {
     return sortedArtists.slice(0, count);
   }
 
+  /**
+   * Look up genres for artists that came without them, e.g. from liked tracks, 50 artists per request
+   * Artists are updated in place; if a request fails the remaining artists keep unknown genres
+   * @param {Object} spotifyApi - Spotify API instance
+   * @param {Array} artists - Combined artist list
+   * @returns {Promise<number>} Number of artists whose genres were loaded
+   */
+  async loadGenres(spotifyApi, artists) {
+    const missing = artists.filter(artist => !artist.genres);
+    let loaded = 0;
+
+    try {
+      for (let i = 0; i < missing.length; i += 50) {
+        const batch = missing.slice(i, i + 50);
+        const response = await spotifyApi.getArtists(batch.map(artist => artist.id));
+
+        response.body.artists.forEach((details, index) => {
+          if (!details) return;
+          batch[index].genres = details.genres || [];
+          loaded++;
+        });
+      }
+    } catch (error) {
+      console.log(`⚠️  Could not load artist genres (${error.message}), genre patterns only apply to artists with known genres`);
+    }
+
+    return loaded;
+  }
+
   /**
    * Validate artist data quality
    * @param {Array} artists - Combined artist list
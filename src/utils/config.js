@@ -0,0 +1,495 @@
+/**
+ * Configuration Module
+ * Layers defaults, config files, environment variables and CLI flags into one validated config
+ */
+
+const os = require('os');
+const path = require('path');
+const { readJsonFile } = require('./storage');
+const SpotifyAuth = require('../auth/spotify-auth');
+const { isValidTimezone } = require('./release-date');
+const { getSourceNames } = require('../spotify/artist-sources');
+
+const APP_DIR_NAME = 'spotify-release-notifications';
+const PROJECT_CONFIG_NAME = 'spotify-release-notifications.json';
+
+/**
+ * Check whether a string compiles as a regular expression
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if the pattern is valid
+ */
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a YYYY-MM-DD string names a day that exists, e.g. not 2025-02-31
+ * @param {string} value - Date matching the YYYY-MM-DD pattern
+ * @returns {boolean} True if the date does not roll over into another month
+ */
+const isValidDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Every configurable setting, keyed by its dotted path in the config file
+ * type: integer | boolean | string | list
+ * env: environment variable that overrides the file, flag: CLI flag that overrides everything
+ */
+const SCHEMA = {
+  days: {
+    type: 'integer',
+    min: 1,
+    default: 10,
+    env: 'SPOTIFY_RELEASE_DAYS',
+    flag: 'days',
+    description: 'Only include releases from the last N days'
+  },
+  from: {
+    type: 'string',
+    nullable: true,
+    pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    validate: isValidDate,
+    patternHint: 'a date as YYYY-MM-DD',
+    default: null,
+    flag: 'from',
+    description: 'First release date to include (overrides days)'
+  },
+  to: {
+    type: 'string',
+    nullable: true,
+    pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    validate: isValidDate,
+    patternHint: 'a date as YYYY-MM-DD',
+    default: null,
+    flag: 'to',
+    description: 'Last release date to include'
+  },
+  timezone: {
+    type: 'string',
+    nullable: true,
+    validate: isValidTimezone,
+    patternHint: 'a timezone name such as "Europe/Berlin"',
+    default: null,
+    env: 'SPOTIFY_RELEASE_TIMEZONE',
+    description: 'Timezone that decides what "today" is (default: the system timezone)'
+  },
+  sources: {
+    type: 'list',
+    values: getSourceNames(),
+    default: ['followed', 'liked', 'saved', 'watchlist'],
+    env: 'SPOTIFY_RELEASE_SOURCES',
+    flag: 'sources',
+    description: 'Artist sources to use'
+  },
+  'topArtists.timeRanges': {
+    type: 'list',
+    values: ['short_term', 'medium_term', 'long_term'],
+    default: ['short_term', 'medium_term', 'long_term'],
+    description: 'Time ranges used by the "top" source'
+  },
+  'playlistArtists.ids': {
+    type: 'list',
+    nullable: true,
+    default: null,
+    description: 'Playlist IDs read by the "playlists" source'
+  },
+  'playlistArtists.namePattern': {
+    type: 'string',
+    nullable: true,
+    validate: isValidPattern,
+    patternHint: 'a regular expression',
+    default: null,
+    description: 'Read playlists whose name matches this regular expression'
+  },
+  'playlistArtists.allOwned': {
+    type: 'boolean',
+    default: true,
+    description: 'Read every playlist you own'
+  },
+  types: {
+    type: 'list',
+    values: ['album', 'ep', 'single', 'compilation', 'live'],
+    default: ['album', 'ep', 'compilation', 'live'],
+    env: 'SPOTIFY_RELEASE_TYPES',
+    flag: 'types',
+    description: 'Release types to include'
+  },
+  groups: {
+    type: 'list',
+    values: ['album', 'single', 'appears_on', 'compilation'],
+    default: ['album', 'single'],
+    env: 'SPOTIFY_RELEASE_GROUPS',
+    flag: 'groups',
+    description: 'Release groups to fetch (appears_on: features on other artists\' releases)'
+  },
+  market: {
+    type: 'string',
+    pattern: /^([A-Z]{2}|from_token)$/,
+    patternHint: 'a two-letter country code or "from_token"',
+    normalize: value => (value === 'from_token' ? value : value.toUpperCase()),
+    default: 'from_token',
+    env: 'SPOTIFY_RELEASE_MARKET',
+    flag: 'market',
+    description: 'Market used for availability'
+  },
+  'retrieval.concurrency': {
+    type: 'integer',
+    min: 1,
+    max: 50,
+    default: 8,
+    env: 'SPOTIFY_RELEASE_CONCURRENCY',
+    description: 'Artists fetched at the same time'
+  },
+  'retrieval.useSearchOptimization': {
+    type: 'boolean',
+    default: false,
+    description: 'Find recent albums through the search API'
+  },
+  'rateLimit.requestsPerSecond': {
+    type: 'integer',
+    min: 1,
+    max: 100,
+    default: 10,
+    env: 'SPOTIFY_RELEASE_REQUESTS_PER_SECOND',
+    description: 'Sustained Spotify API request rate'
+  },
+  'rateLimit.burst': {
+    type: 'integer',
+    min: 1,
+    max: 100,
+    default: 10,
+    description: 'Requests allowed at once before pacing starts'
+  },
+  'rateLimit.maxRetries': {
+    type: 'integer',
+    min: 0,
+    max: 20,
+    default: 5,
+    env: 'SPOTIFY_RELEASE_MAX_RETRIES',
+    description: 'Retries for a request after 429 or 5xx responses'
+  },
+  'cache.enabled': {
+    type: 'boolean',
+    default: true,
+    description: 'Cache artist discographies between runs'
+  },
+  'cache.ttlHours': {
+    type: 'integer',
+    min: 0,
+    default: 12,
+    env: 'SPOTIFY_RELEASE_CACHE_TTL_HOURS',
+    description: 'Hours before a cached discography is checked again'
+  },
+  'classifier.epMinTracks': {
+    type: 'integer',
+    min: 1,
+    default: 4,
+    description: 'Tracks a release needs to count as an EP instead of a single'
+  },
+  'classifier.albumMinTracks': {
+    type: 'integer',
+    min: 1,
+    default: 7,
+    description: 'Tracks a release needs to count as an album'
+  },
+  'classifier.albumMinMinutes': {
+    type: 'integer',
+    min: 1,
+    default: 30,
+    description: 'Minutes after which a release counts as an album whatever its track count'
+  },
+  'editions.enabled': {
+    type: 'boolean',
+    default: true,
+    description: 'Collapse duplicate editions of the same release'
+  },
+  'editions.prefer': {
+    type: 'string',
+    pattern: /^(explicit|clean)$/,
+    patternHint: '"explicit" or "clean"',
+    default: 'explicit',
+    description: 'Edition shown first when a release has explicit and clean versions'
+  },
+  'editions.trackCount': {
+    type: 'string',
+    pattern: /^(most|fewest)$/,
+    patternHint: '"most" or "fewest"',
+    default: 'most',
+    description: 'Prefer the edition with the most or fewest tracks (e.g. deluxe or original)'
+  },
+  'history.hideSeen': {
+    type: 'boolean',
+    default: false,
+    flag: 'hide-seen',
+    description: 'Hide releases shown in earlier runs instead of marking them'
+  },
+  'auth.scopes': {
+    type: 'list',
+    default: SpotifyAuth.SCOPES,
+    description: 'OAuth scopes requested at login'
+  },
+  'playlist.nameTemplate': {
+    type: 'string',
+    default: '{date} New Releases',
+    env: 'SPOTIFY_RELEASE_PLAYLIST_NAME',
+    description: 'Playlist name for unattended runs ({date}, {count})'
+  },
+  'playlist.dailyNameTemplate': {
+    type: 'string',
+    pattern: /\{date\}/,
+    patternHint: 'a template containing {date}',
+    default: '{date} Releases',
+    description: 'Name of the daily release playlists ({date})'
+  },
+  'playlist.collaborative': {
+    type: 'boolean',
+    default: false,
+    description: 'Create collaborative playlists'
+  },
+  'playlist.description': {
+    type: 'string',
+    nullable: true,
+    default: null,
+    description: 'Custom description for created playlists'
+  }
+};
+
+/**
+ * Get the config file locations, lowest precedence first
+ * @param {Profile} profile - Active profile (optional)
+ * @param {string} explicitPath - Path given with --config or SPOTIFY_RELEASE_CONFIG (optional)
+ * @returns {Array} Array of { label, path } objects
+ */
+const getConfigFiles = (profile = null, explicitPath = null) => {
+  if (explicitPath) {
+    return [{ label: 'config file', path: path.resolve(explicitPath) }];
+  }
+
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  const files = [
+    { label: 'user config', path: path.join(configHome, APP_DIR_NAME, 'config.json') },
+    { label: 'project config', path: path.resolve(__dirname, '..', '..', PROJECT_CONFIG_NAME) }
+  ];
+
+  if (profile) {
+    files.push({ label: `profile "${profile.name}"`, path: profile.getPath('settings.json') });
+  }
+
+  return files;
+};
+
+/**
+ * Validate and normalize a single value against its schema entry
+ * Strings are accepted for every type so environment variables and flags can be parsed
+ * @param {string} key - Dotted setting key
+ * @param {*} value - Raw value
+ * @param {string} origin - Where the value came from, used in error messages
+ * @returns {*} Normalized value
+ */
+const validateValue = (key, value, origin) => {
+  const definition = SCHEMA[key];
+  const fail = (expected) => {
+    throw new Error(`Invalid value for "${key}" from ${origin}: expected ${expected}, got ${JSON.stringify(value)}`);
+  };
+
+  if (value === null) {
+    if (definition.nullable) return null;
+    fail(`a ${definition.type}`);
+  }
+
+  switch (definition.type) {
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      const min = definition.min !== undefined ? definition.min : -Infinity;
+      const max = definition.max !== undefined ? definition.max : Infinity;
+      if (!Number.isInteger(number) || number < min || number > max) {
+        const range = definition.max !== undefined ? ` between ${min} and ${max}` : ` of at least ${min}`;
+        fail(`a whole number${range}`);
+      }
+      return number;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+      if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+      return fail('true or false');
+    }
+
+    case 'string': {
+      if (typeof value !== 'string' || value.trim() === '') {
+        fail('a non-empty string');
+      }
+      const normalized = definition.normalize ? definition.normalize(value.trim()) : value;
+      if (definition.pattern && !definition.pattern.test(normalized)) {
+        fail(definition.patternHint);
+      }
+      if (definition.validate && !definition.validate(normalized)) {
+        fail(definition.patternHint);
+      }
+      return normalized;
+    }
+
+    case 'list': {
+      const entries = typeof value === 'string'
+        ? value.split(',').map(entry => entry.trim()).filter(Boolean)
+        : value;
+
+      if (!Array.isArray(entries) || entries.length === 0 || entries.some(entry => typeof entry !== 'string')) {
+        fail('a non-empty list of strings');
+      }
+
+      if (definition.values) {
+        const invalid = entries.filter(entry => !definition.values.includes(entry.toLowerCase()));
+        if (invalid.length > 0) {
+          fail(`any of ${definition.values.join(', ')}`);
+        }
+        return [...new Set(entries.map(entry => entry.toLowerCase()))];
+      }
+
+      return [...new Set(entries)];
+    }
+
+    default:
+      throw new Error(`Unknown type for setting "${key}"`);
+  }
+};
+
+/**
+ * Flatten a nested config file object into dotted keys
+ * @param {Object} data - Parsed config file
+ * @param {string} origin - File path for error messages
+ * @param {string} prefix - Key prefix for nested objects
+ * @returns {Object} Flat map of dotted keys to values
+ */
+const flattenFile = (data, origin, prefix = '') => {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error(`Invalid config in ${origin}: expected a JSON object${prefix ? ` for "${prefix}"` : ''}`);
+  }
+
+  const flat = {};
+
+  Object.entries(data).forEach(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+
+    if (SCHEMA[key]) {
+      flat[key] = value;
+    } else if (Object.keys(SCHEMA).some(schemaKey => schemaKey.startsWith(`${key}.`))) {
+      Object.assign(flat, flattenFile(value, origin, key));
+    } else {
+      throw new Error(`Unknown setting "${key}" in ${origin}. Run "config show" to list valid settings`);
+    }
+  });
+
+  return flat;
+};
+
+/**
+ * Turn flat dotted keys back into a nested object
+ * @param {Object} flat - Flat map of dotted keys to values
+ * @returns {Object} Nested config object
+ */
+const unflatten = (flat) => {
+  const nested = {};
+
+  Object.entries(flat).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let target = nested;
+    parts.slice(0, -1).forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  });
+
+  return nested;
+};
+
+/**
+ * Load the effective configuration
+ * Precedence (lowest first): defaults, user config, project config, profile settings, environment, CLI flags
+ * @param {Object} options - Load options
+ * @param {Profile} options.profile - Active profile (optional)
+ * @param {Object} options.flags - Raw CLI flag values keyed by flag name
+ * @param {string} options.configPath - Explicit config file path (optional)
+ * @returns {Object} Object with config (nested values), origins (key to source label) and files (searched files)
+ */
+const loadConfig = (options = {}) => {
+  const { profile = null, flags = {} } = options;
+  const configPath = options.configPath || process.env.SPOTIFY_RELEASE_CONFIG || null;
+
+  const values = {};
+  const origins = {};
+
+  const apply = (key, value, origin) => {
+    values[key] = validateValue(key, value, origin);
+    origins[key] = origin;
+  };
+
+  Object.entries(SCHEMA).forEach(([key, definition]) => {
+    values[key] = definition.default;
+    origins[key] = 'default';
+  });
+
+  const files = getConfigFiles(profile, configPath).map(file => {
+    const data = readJsonFile(file.path);
+
+    if (data === null) {
+      if (configPath && file.label === 'config file') {
+        throw new Error(`Config file not found: ${file.path}`);
+      }
+      return { ...file, found: false };
+    }
+
+    Object.entries(flattenFile(data, file.path)).forEach(([key, value]) => apply(key, value, file.path));
+    return { ...file, found: true };
+  });
+
+  Object.entries(SCHEMA).forEach(([key, definition]) => {
+    if (definition.env && process.env[definition.env] !== undefined && process.env[definition.env] !== '') {
+      apply(key, process.env[definition.env], `env ${definition.env}`);
+    }
+  });
+
+  Object.entries(SCHEMA).forEach(([key, definition]) => {
+    if (definition.flag && flags[definition.flag] !== undefined) {
+      apply(key, flags[definition.flag], `flag --${definition.flag}`);
+    }
+  });
+
+  if (values.from && values.to && values.from > values.to) {
+    throw new Error(`Invalid date range: "from" (${values.from}, ${origins.from}) is after "to" (${values.to}, ${origins.to})`);
+  }
+
+  return {
+    config: unflatten(values),
+    values,
+    origins,
+    files
+  };
+};
+
+/**
+ * Format a config value for display
+ * @param {*} value - Config value
+ * @returns {string} Display string
+ */
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.join(',');
+  return value === null ? '(none)' : String(value);
+};
+
+module.exports = {
+  SCHEMA,
+  loadConfig,
+  getConfigFiles,
+  formatValue
+};
\ No newline at end of file
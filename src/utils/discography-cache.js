@@ -0,0 +1,136 @@
+/**
+ * Discography Cache Module
+ * Stores artist album listings between runs so unchanged artists cost at most one request
+ */
+
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile } = require('./storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Version 2 stores coveredFrom as a day number instead of a timestamp,
+// version 3 one listing per artist for all release groups instead of one per group
+const CACHE_VERSION = 3;
+
+// Entries that have not been checked for this long are dropped on save
+const MAX_ENTRY_AGE_MS = 30 * 24 * HOUR_MS;
+
+class DiscographyCache {
+  constructor(filePath = path.join(getDataDir(), 'discography-cache.json'), options = {}) {
+    this.filePath = filePath;
+    this.ttlMs = (options.ttlHours !== undefined ? options.ttlHours : 12) * HOUR_MS;
+    this.entries = {};
+    this.dirty = false;
+  }
+
+  /**
+   * Load cached entries from disk, starting empty if they were written by another version
+   * @returns {DiscographyCache} This instance, for chaining
+   */
+  load() {
+    const data = readJsonFile(this.filePath, {});
+    this.entries = data.version === CACHE_VERSION ? data.entries || {} : {};
+    return this;
+  }
+
+  /**
+   * Save the cache if it changed, dropping entries that are no longer checked
+   */
+  save() {
+    if (!this.dirty) return;
+
+    const cutoff = Date.now() - MAX_ENTRY_AGE_MS;
+    Object.keys(this.entries).forEach(key => {
+      if (this.entries[key].checkedAt < cutoff) {
+        delete this.entries[key];
+      }
+    });
+
+    writeJsonFile(this.filePath, { version: CACHE_VERSION, entries: this.entries });
+    this.dirty = false;
+  }
+
+  /**
+   * Build the cache key for an artist and query
+   * @param {string} artistId - Spotify artist ID
+   * @param {Object} params - getArtistAlbums query parameters
+   * @returns {string} Cache key
+   */
+  getKey(artistId, params) {
+    return `${artistId}:${params.include_groups}:${params.market}`;
+  }
+
+  /**
+   * Get the cached entry for an artist and query
+   * @param {string} artistId - Spotify artist ID
+   * @param {Object} params - getArtistAlbums query parameters
+   * @returns {Object|null} Cached entry, or null if none
+   */
+  get(artistId, params) {
+    return this.entries[this.getKey(artistId, params)] || null;
+  }
+
+  /**
+   * Check whether an entry was checked within the TTL
+   * @param {Object} entry - Cached entry
+   * @returns {boolean} True if the entry can be used without a request
+   */
+  isFresh(entry) {
+    return Date.now() - entry.checkedAt < this.ttlMs;
+  }
+
+  /**
+   * Check whether an entry reaches back far enough for a lookback cutoff
+   * @param {Object} entry - Cached entry
+   * @param {number} cutoff - Oldest release day needed (days since 1970-01-01)
+   * @returns {boolean} True if the cached listing covers the cutoff
+   */
+  covers(entry, cutoff) {
+    return entry.coveredFrom <= cutoff;
+  }
+
+  /**
+   * Check whether a first page of results matches what was cached
+   * @param {Object} entry - Cached entry
+   * @param {Object} page - First page response body from getArtistAlbums
+   * @returns {boolean} True if nothing changed since the entry was stored
+   */
+  matchesFirstPage(entry, page) {
+    const ids = page.items.map(album => album.id);
+    return page.total === entry.total &&
+      ids.length === entry.firstPageIds.length &&
+      ids.every((id, index) => id === entry.firstPageIds[index]);
+  }
+
+  /**
+   * Store the albums fetched for an artist
+   * @param {string} artistId - Spotify artist ID
+   * @param {Object} params - getArtistAlbums query parameters
+   * @param {Object} data - Data to cache
+   * @param {Array} data.albums - Albums found for the artist
+   * @param {number} data.total - Total reported by the API
+   * @param {Array} data.firstPageIds - Album IDs of the first page, used for revalidation
+   * @param {number} data.coveredFrom - Oldest release day the listing covers (days since 1970-01-01)
+   */
+  set(artistId, params, data) {
+    this.entries[this.getKey(artistId, params)] = {
+      albums: data.albums,
+      total: data.total,
+      firstPageIds: data.firstPageIds,
+      coveredFrom: data.coveredFrom,
+      checkedAt: Date.now()
+    };
+    this.dirty = true;
+  }
+
+  /**
+   * Mark an entry as checked now after a successful revalidation
+   * @param {Object} entry - Cached entry
+   */
+  touch(entry) {
+    entry.checkedAt = Date.now();
+    this.dirty = true;
+  }
+}
+
+module.exports = DiscographyCache;
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Edition Grouping Utilities
+ * Collapses explicit and clean versions, regional editions and deluxe reissues of one record into a single entry
+ */
+
+// Wording in a bracketed or dashed title suffix that names an edition rather than a different record
+// Generic words such as "version" or "edition" only count in edition phrases, so "(Acoustic Version)" or "- UK Garage Mix" stay separate
+const EDITION_MARKERS = /\b(deluxe|expanded|remaster(ed)?|anniversary|explicit|clean|edited)\b|\b(special|collector['’]?s|limited|bonus|extended|platinum|standard|\d+(st|nd|rd|th))\s+edition\b|\b(international|japan(ese)?|uk|us|eu|european)\s+(version|release|import)\b/i;
+
+// Live recordings and tour editions are different records, even when the suffix also names an edition
+const OTHER_RECORD_MARKERS = /\b(live|tour)\b/i;
+
+/**
+ * Check if a title suffix names an edition of the same record
+ * @param {string} suffix - Bracketed or dashed suffix, e.g. "(Deluxe Edition)"
+ * @returns {boolean} - True if the suffix can be dropped when grouping editions
+ */
+const isEditionSuffix = (suffix) => EDITION_MARKERS.test(suffix) && !OTHER_RECORD_MARKERS.test(suffix);
+
+/**
+ * Lowercase a title and reduce punctuation to single spaces
+ * @param {string} title - Release title
+ * @returns {string} - Simplified title
+ */
+const simplifyTitle = (title) => {
+  return title.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+};
+
+/**
+ * Normalize a title for comparison, e.g. "Album (Deluxe Edition)" and "Album - Remastered 2011" become "album"
+ * @param {string} title - Release title
+ * @returns {string} - Normalized title
+ */
+const normalizeTitle = (title) => {
+  const withoutEdition = title
+    .replace(/\s*[([][^)\]]*[)\]]/g, suffix => (isEditionSuffix(suffix) ? '' : suffix))
+    .replace(/\s+-\s+[^-]*$/, suffix => (isEditionSuffix(suffix) ? '' : suffix));
+
+  return simplifyTitle(withoutEdition);
+};
+
+/**
+ * Check if a title names an edition, e.g. "Album (Deluxe)"
+ * @param {string} title - Release title
+ * @returns {boolean} - True if the title carries an edition suffix
+ */
+const hasEditionMarker = (title) => normalizeTitle(title) !== simplifyTitle(title);
+
+/**
+ * Build the key shared by every edition of a record: normalized title and credited artists
+ * @param {Object} album - Release object
+ * @returns {string} - Grouping key
+ */
+const getEditionKey = (album) => {
+  const artistIds = album.artists.map(artist => artist.id).sort().join(',');
+  return `${normalizeTitle(album.name)}|${artistIds}`;
+};
+
+/**
+ * Check if two releases with the same key are editions of one record
+ * Unmarked titles must also match in track count and release date, so a re-used title stays separate
+ * @param {Object} a - First release
+ * @param {Object} b - Second release
+ * @returns {boolean} - True if they are editions of the same record
+ */
+const isEditionOf = (a, b) => {
+  if (hasEditionMarker(a.name) || hasEditionMarker(b.name)) return true;
+  return a.total_tracks === b.total_tracks && a.release_date === b.release_date;
+};
+
+/**
+ * Cluster releases into editions of the same record, keeping the order of first appearance
+ * @param {Array} releases - Release objects
+ * @returns {Array} - Arrays of releases, one per record
+ */
+const clusterEditions = (releases) => {
+  const clustersByKey = new Map();
+  const clusters = [];
+
+  releases.forEach(release => {
+    const key = getEditionKey(release);
+    const candidates = clustersByKey.get(key) || [];
+    const cluster = candidates.find(members => members.some(member => isEditionOf(member, release)));
+
+    if (cluster) {
+      cluster.push(release);
+      return;
+    }
+
+    const created = [release];
+    clustersByKey.set(key, [...candidates, created]);
+    clusters.push(created);
+  });
+
+  return clusters;
+};
+
+/**
+ * Sort editions so the preferred one comes first
+ * Editions playable in the market win, then the explicit or clean preference, then the track count
+ * @param {Array} editions - Editions of one record
+ * @param {Object} options - Preference options
+ * @param {string} options.prefer - 'explicit' or 'clean' (default: 'explicit')
+ * @param {string} options.trackCount - 'most' or 'fewest' (default: 'most')
+ * @returns {Array} - Editions, preferred first
+ */
+const rankEditions = (editions, options = {}) => {
+  const { prefer = 'explicit', trackCount = 'most' } = options;
+  const wantExplicit = prefer === 'explicit';
+
+  return editions
+    .map((edition, index) => ({ edition, index }))
+    .sort((a, b) => {
+      if ((a.edition.playable === false) !== (b.edition.playable === false)) {
+        return a.edition.playable === false ? 1 : -1;
+      }
+      if (a.edition.explicit !== undefined && b.edition.explicit !== undefined && a.edition.explicit !== b.edition.explicit) {
+        return a.edition.explicit === wantExplicit ? -1 : 1;
+      }
+      if (a.edition.total_tracks !== b.edition.total_tracks) {
+        const difference = b.edition.total_tracks - a.edition.total_tracks;
+        return trackCount === 'most' ? difference : -difference;
+      }
+      return a.index - b.index;
+    })
+    .map(entry => entry.edition);
+};
+
+/**
+ * Collapse editions of the same record into their preferred edition
+ * Explicit flags and availability come from ReleaseFilter.loadAlbumDetails(), editions without them are ranked by track count
+ * Collapsed entries list every edition, preferred first, in `editions`
+ * @param {Array} releases - Release objects
+ * @param {Object} options - Preference options
+ * @param {string} options.prefer - 'explicit' or 'clean' (default: 'explicit')
+ * @param {string} options.trackCount - 'most' or 'fewest' (default: 'most')
+ * @returns {Array} - One entry per record
+ */
+const collapseEditions = (releases, options = {}) => {
+  return clusterEditions(releases).map(cluster => {
+    if (cluster.length === 1) return cluster[0];
+
+    const editions = rankEditions(cluster, options);
+    return { ...editions[0], editions };
+  });
+};
+
+/**
+ * Describe an edition for display, e.g. "14 tracks, explicit, 2025-01-10"
+ * @param {Object} edition - Release object
+ * @returns {string} - Description
+ */
+const describeEdition = (edition) => {
+  const parts = [`${edition.total_tracks} tracks`];
+  if (edition.explicit !== undefined) parts.push(edition.explicit ? 'explicit' : 'clean');
+  if (edition.playable === false) parts.push('not available in your market');
+  parts.push(edition.release_date);
+  return parts.join(', ');
+};
+
+module.exports = {
+  normalizeTitle,
+  hasEditionMarker,
+  getEditionKey,
+  clusterEditions,
+  rankEditions,
+  collapseEditions,
+  describeEdition
+};
\ No newline at end of file
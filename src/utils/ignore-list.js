@@ -0,0 +1,113 @@
+/**
+ * Ignore List Module
+ * Artists and genres whose releases should never be fetched or offered
+ * Genre patterns match whole genre names case-insensitively, with * matching any text (e.g. "*country*")
+ */
+
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile } = require('./storage');
+
+/**
+ * Convert a genre pattern into a regular expression
+ * @param {string} pattern - Genre pattern, e.g. "christian *"
+ * @returns {RegExp} Case-insensitive expression matching the whole genre
+ */
+const createGenreMatcher = (pattern) => {
+  const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+};
+
+class IgnoreList {
+  constructor(filePath = path.join(getDataDir(), 'ignore-list.json')) {
+    this.filePath = filePath;
+    this.artists = [];
+    this.genres = [];
+    this.genreMatchers = [];
+  }
+
+  /**
+   * Load the stored ignore list
+   * @returns {IgnoreList} This instance, for chaining
+   */
+  load() {
+    const data = readJsonFile(this.filePath, {});
+    const artists = data.artists || [];
+    const genres = data.genres || [];
+
+    if (!Array.isArray(artists) || artists.some(entry => !entry || typeof entry.id !== 'string')) {
+      throw new Error(`Invalid ignore list in ${this.filePath}: "artists" must list objects with an id`);
+    }
+    if (!Array.isArray(genres) || genres.some(pattern => typeof pattern !== 'string')) {
+      throw new Error(`Invalid ignore list in ${this.filePath}: "genres" must list strings`);
+    }
+
+    this.artists = artists;
+    this.genres = genres;
+    this.genreMatchers = genres.map(createGenreMatcher);
+    return this;
+  }
+
+  /**
+   * Save the ignore list
+   */
+  save() {
+    writeJsonFile(this.filePath, {
+      version: 1,
+      artists: this.artists,
+      genres: this.genres
+    });
+  }
+
+  /**
+   * Check whether nothing is ignored
+   * @returns {boolean} True if the list has no artists and no genre patterns
+   */
+  isEmpty() {
+    return this.artists.length === 0 && this.genres.length === 0;
+  }
+
+  /**
+   * Check whether any genre patterns are set
+   * @returns {boolean} True if artists also need their genres checked
+   */
+  hasGenrePatterns() {
+    return this.genres.length > 0;
+  }
+
+  /**
+   * Add an artist
+   * @param {Object} artist - Artist with id and name
+   * @param {string} timestamp - ISO timestamp (default: now)
+   * @returns {boolean} False if the artist was already ignored
+   */
+  addArtist(artist, timestamp = new Date().toISOString()) {
+    if (this.artists.some(entry => entry.id === artist.id)) return false;
+
+    this.artists.push({ id: artist.id, name: artist.name, addedAt: timestamp });
+    return true;
+  }
+
+  /**
+   * Get the reason an artist is ignored
+   * @param {Object} artist - Artist with id and, if known, genres
+   * @returns {string|null} "artist" or the matching genre pattern, or null if the artist is not ignored
+   */
+  getReason(artist) {
+    if (this.artists.some(entry => entry.id === artist.id)) return 'artist';
+
+    const genres = artist.genres || [];
+    const index = this.genreMatchers.findIndex(matcher => genres.some(genre => matcher.test(genre)));
+    return index === -1 ? null : this.genres[index];
+  }
+
+  /**
+   * Check whether an artist is ignored
+   * @param {Object} artist - Artist with id and, if known, genres
+   * @returns {boolean} True if the artist or one of its genres is on the list
+   */
+  isIgnored(artist) {
+    return this.getReason(artist) !== null;
+  }
+}
+
+module.exports = IgnoreList;
\ No newline at end of file
@@ -4,11 +4,23 @@
  */
 
 const readline = require('readline');
+const { createLookback, describeLookback } = require('./lookback');
+const { describeReleaseGroup, isCollaboration, formatTrackedArtists, getTrackedArtists, getReleaseType } = require('./release-filter');
+const { getReleaseTypeIcon } = require('./release-classifier');
+const { formatDayNumber, formatReleaseDate, isApproximateDate } = require('./release-date');
+const { describeEdition } = require('./edition-grouping');
 
 class InteractiveSelector {
-  constructor() {
+  /**
+   * @param {Object} options - Selector options
+   * @param {Object} options.lookback - Window the releases were found in (default: the last 10 days)
+   * @param {IgnoreList} options.ignoreList - Loaded ignore list for the "ignore" command (optional)
+   */
+  constructor(options = {}) {
     this.rl = null;
     this.selectedReleases = new Set();
+    this.lookback = options.lookback || createLookback();
+    this.ignoreList = options.ignoreList || null;
   }
 
   /**
@@ -31,32 +43,130 @@ class InteractiveSelector {
     }
   }
 
+  /**
+   * Get the labels shown next to a release, e.g. "collaboration" or "feature on Artist's album"
+   * @param {Object} release - Release object
+   * @returns {Array} Label strings
+   */
+  getLabels(release) {
+    return [
+      isCollaboration(release) ? 'collaboration' : null,
+      describeReleaseGroup(release),
+      release.editions ? `${release.editions.length} editions` : null
+    ].filter(Boolean);
+  }
+
+  /**
+   * Show the editions of a collapsed release and let the user pick the one to use
+   * @param {Array} releases - Array of release objects, updated in place
+   * @param {number} index - Index of the release to expand
+   */
+  async chooseEdition(releases, index) {
+    const release = releases[index];
+
+    if (!release || !release.editions) {
+      console.log(`\n⚠️  Release ${index + 1} has no other editions.`);
+      await this.askQuestion('Press Enter to continue...');
+      return;
+    }
+
+    console.log(`\n📚 Editions of "${release.name}" by ${formatTrackedArtists(release)}:`);
+    release.editions.forEach((edition, i) => {
+      const current = edition.id === release.id ? '👉' : '  ';
+      console.log(`${current} ${i + 1}. ${edition.name} (${describeEdition(edition)})`);
+    });
+
+    const answer = await this.askQuestion('\nEdition to use (Enter to keep the current one): ');
+    const choice = parseInt(answer, 10) - 1;
+
+    if (!isNaN(choice) && choice >= 0 && choice < release.editions.length) {
+      releases[index] = { ...release.editions[choice], editions: release.editions, seen: release.seen };
+    }
+  }
+
+  /**
+   * Add the artist of a release to the ignore list and drop the releases that only belong to ignored artists
+   * Collaborations ask which of the tracked artists to ignore
+   * @param {Array} releases - Array of release objects, updated in place
+   * @param {number} index - Index of the release whose artist to ignore
+   */
+  async ignoreArtist(releases, index) {
+    const release = releases[index];
+
+    if (!release) {
+      console.log(`\n⚠️  There is no release ${index + 1}.`);
+      await this.askQuestion('Press Enter to continue...');
+      return;
+    }
+
+    let artists = getTrackedArtists(release);
+
+    if (artists.length > 1) {
+      console.log(`\n🙈 "${release.name}" belongs to several tracked artists:`);
+      artists.forEach((artist, i) => console.log(`   ${i + 1}. ${artist.name}`));
+
+      const answer = await this.askQuestion('\nArtist to ignore ("all" for every one, Enter to cancel): ');
+      if (answer.toLowerCase() !== 'all') {
+        const choice = parseInt(answer, 10) - 1;
+        if (isNaN(choice) || choice < 0 || choice >= artists.length) return;
+        artists = [artists[choice]];
+      }
+    }
+
+    artists.forEach(artist => this.ignoreList.addArtist(artist));
+    this.ignoreList.save();
+
+    // Keep selections attached to the same releases while entries are removed
+    const selected = new Set(this.getSelectedReleases(releases));
+    const remaining = releases.filter(entry => !getTrackedArtists(entry).every(artist => this.ignoreList.isIgnored(artist)));
+
+    releases.splice(0, releases.length, ...remaining);
+    this.selectedReleases = new Set(remaining
+      .map((entry, i) => (selected.has(entry) ? i : null))
+      .filter(i => i !== null));
+
+    console.log(`\n🙈 Ignoring ${artists.map(artist => artist.name).join(' & ')} from now on.`);
+    await this.askQuestion('Press Enter to continue...');
+  }
+
   /**
    * Display numbered list of releases for selection
    * @param {Array} releases - Array of release objects
    */
   displayReleases(releases) {
     if (releases.length === 0) {
-      console.log('📭 No recent albums or EPs found.');
+      console.log('📭 No recent releases found.');
       return;
     }
 
-    console.log('\n📋 Recent Albums & EPs (last 10 days):');
+    console.log(`\n📋 Recent Releases (${describeLookback(this.lookback)}):`);
     console.log('═══════════════════════════════════════════════════════════════════');
     
     releases.forEach((release, index) => {
       const number = (index + 1).toString().padStart(2, ' ');
-      const type = release.album_type === 'album' ? '💿' : '🎵';
+      const releaseType = getReleaseType(release);
+      const type = `${getReleaseTypeIcon(releaseType)} ${releaseType.padEnd(11)}`;
       const selected = this.selectedReleases.has(index) ? '✅' : '  ';
-      const artist = release.artist_name.padEnd(25).substring(0, 25);
+      const artist = formatTrackedArtists(release).padEnd(25).substring(0, 25);
       const title = release.name.padEnd(30).substring(0, 30);
       const tracks = String(release.total_tracks).padStart(2);
-      const date = release.release_date;
+      const date = formatReleaseDate(release).padEnd(10);
+      const seen = release.seen ? ' 👀' : '';
+      const labels = this.getLabels(release);
+      const label = labels.length > 0 ? ` (${labels.join(', ')})` : '';
       
-      console.log(`${selected} ${number}. ${type} ${artist} | ${title} | ${date} | ${tracks} tracks`);
+      console.log(`${selected} ${number}. ${type} ${artist} | ${title} | ${date} | ${tracks} tracks${label}${seen}`);
     });
 
     console.log('═══════════════════════════════════════════════════════════════════');
+
+    if (releases.some(release => release.seen)) {
+      console.log('👀 = shown in an earlier run');
+    }
+
+    if (releases.some(isApproximateDate)) {
+      console.log('~ = only the month or year is known');
+    }
     
     if (this.selectedReleases.size > 0) {
       console.log(`\n🎯 Selected: ${this.selectedReleases.size} release(s)`);
@@ -151,16 +261,16 @@ class InteractiveSelector {
       return 'Custom Playlist';
     }
 
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const today = formatDayNumber(this.lookback.today); // YYYY-MM-DD in the configured timezone
     
-    // If only one release, use artist and album name
+    // If only one release, use artist and album name (every tracked artist for collaborations)
     if (selectedReleases.length === 1) {
       const release = selectedReleases[0];
-      return `${release.artist_name} - ${release.name}`;
+      return `${formatTrackedArtists(release)} - ${release.name}`;
     }
     
-    // If multiple releases from same artist
-    const artists = [...new Set(selectedReleases.map(r => r.artist_name))];
+    // If multiple releases from the same artist or the same collaboration
+    const artists = [...new Set(selectedReleases.map(r => formatTrackedArtists(r)))];
     if (artists.length === 1) {
       return `${artists[0]} - Selected Releases`;
     }
@@ -179,6 +289,8 @@ class InteractiveSelector {
       return [];
     }
 
+    // Choosing another edition replaces entries, so work on a copy
+    releases = releases.slice();
     this.createInterface();
     
     try {
@@ -192,6 +304,12 @@ class InteractiveSelector {
         console.log('   • Enter numbers: 1,3,5 or ranges: 1-5 (toggles selection)');
         console.log('   • "all" - select all releases');
         console.log('   • "clear" - clear all selections');
+        if (releases.some(release => release.editions)) {
+          console.log('   • "e 3" - show the editions of release 3 and choose one');
+        }
+        if (this.ignoreList) {
+          console.log('   • "i 3" - ignore the artist of release 3 in this and future runs');
+        }
         console.log('   • "done" - finish selection');
         console.log('   • "quit" - cancel and exit');
         
@@ -225,6 +343,22 @@ class InteractiveSelector {
           continue;
         }
         
+        const expand = answer.match(/^(?:e|expand)\s*(\d+)$/i);
+        if (expand) {
+          await this.chooseEdition(releases, parseInt(expand[1], 10) - 1);
+          continue;
+        }
+
+        const ignore = answer.match(/^(?:i|ignore)\s*(\d+)$/i);
+        if (ignore && this.ignoreList) {
+          await this.ignoreArtist(releases, parseInt(ignore[1], 10) - 1);
+          if (releases.length === 0) {
+            console.log('📭 No releases left to select.');
+            return [];
+          }
+          continue;
+        }
+        
         // Parse and toggle selections
         const selections = this.parseSelection(answer, releases.length);
         if (selections.length > 0) {
@@ -284,8 +418,10 @@ class InteractiveSelector {
       
       console.log('\n📝 Selected releases:');
       selectedReleases.forEach((release, index) => {
-        const type = release.album_type === 'album' ? '💿' : '🎵';
-        console.log(`   ${index + 1}. ${type} ${release.artist_name} - ${release.name} (${release.total_tracks} tracks)`);
+        const releaseType = getReleaseType(release);
+        const type = `${getReleaseTypeIcon(releaseType)} ${releaseType}`;
+        const label = this.getLabels(release).map(text => `, ${text}`).join('');
+        console.log(`   ${index + 1}. ${type} ${formatTrackedArtists(release)} - ${release.name} (${release.total_tracks} tracks${label})`);
       });
       
       const answer = await this.askQuestion('\n❓ Create this playlist? (y/n): ');
@@ -296,6 +432,32 @@ class InteractiveSelector {
       this.closeInterface();
     }
   }
+
+  /**
+   * Ask which of several artists a name lookup meant
+   * @param {string} query - Name the user searched for
+   * @param {Array} candidates - Artists found by the search
+   * @returns {Promise<Object|null>} Chosen artist, or null if the user cancelled
+   */
+  async chooseArtist(query, candidates) {
+    this.createInterface();
+
+    try {
+      console.log(`\n🔎 Several artists match "${query}":`);
+      candidates.forEach((artist, index) => {
+        const genres = artist.genres.length > 0 ? `, ${artist.genres.slice(0, 2).join(', ')}` : '';
+        console.log(`   ${index + 1}. ${artist.name} (${artist.followers.toLocaleString()} followers${genres})`);
+      });
+
+      const answer = await this.askQuestion('\nArtist to add (Enter to cancel): ');
+      const choice = parseInt(answer, 10) - 1;
+
+      return !isNaN(choice) && choice >= 0 && choice < candidates.length ? candidates[choice] : null;
+
+    } finally {
+      this.closeInterface();
+    }
+  }
 }
 
 module.exports = InteractiveSelector;
\ No newline at end of file
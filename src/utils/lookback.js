@@ -0,0 +1,102 @@
+/**
+ * Lookback Window Utilities
+ * One release-date window shared by retrieval, filtering, statistics and the selector
+ * Windows are whole calendar days in the configured timezone, stored as day numbers
+ */
+
+const { parseDayNumber, getToday } = require('./release-date');
+
+/**
+ * Create a lookback window
+ * An explicit from date wins over days; to is inclusive and defaults to no end
+ * @param {Object} options - Window options
+ * @param {number} options.days - Number of days to look back, including today (default: 10)
+ * @param {string} options.from - First release date to include, YYYY-MM-DD (optional)
+ * @param {string} options.to - Last release date to include, YYYY-MM-DD (optional)
+ * @param {string} options.timezone - IANA timezone that decides what "today" is (default: the system timezone)
+ * @param {Date} options.now - Current time, for tests (default: now)
+ * @returns {Object} - Window with from and to (day numbers, to is exclusive and may be null), today, and the settings it was built from
+ */
+const createLookback = (options = {}) => {
+  const { days = 10, from = null, to = null, timezone = null, now = new Date() } = options;
+  const today = getToday(timezone, now);
+
+  // The end date is inclusive, so the window ends at the following day
+  const end = to ? parseDayNumber(to) + 1 : null;
+
+  let start;
+  if (from) {
+    start = parseDayNumber(from);
+  } else {
+    start = (end || today + 1) - days;
+  }
+
+  if (end && start >= end) {
+    throw new Error(`Invalid date range: ${from || 'start'} is after ${to}`);
+  }
+
+  return { from: start, to: end, today, days, fromDate: from, toDate: to, timezone };
+};
+
+/**
+ * Check whether a release date range ends before the start of the window
+ * @param {Object} range - Range from getReleaseDateRange()
+ * @param {Object} lookback - Lookback window
+ * @returns {boolean} - True if the release is certainly too old
+ */
+const isBeforeWindow = (range, lookback) => {
+  return !range || range.end <= lookback.from;
+};
+
+/**
+ * Check whether a release date range overlaps the window
+ * @param {Object} range - Range from getReleaseDateRange()
+ * @param {Object} lookback - Lookback window
+ * @returns {boolean} - True if the release may fall inside the window
+ */
+const isInWindow = (range, lookback) => {
+  if (isBeforeWindow(range, lookback)) return false;
+  return !lookback.to || range.start < lookback.to;
+};
+
+/**
+ * Check whether a release overlaps the window without lying entirely inside it,
+ * e.g. a month-precision date when the window covers only part of that month
+ * @param {Object} range - Range from getReleaseDateRange()
+ * @param {Object} lookback - Lookback window
+ * @returns {boolean} - True if it is unknown whether the release falls inside the window
+ */
+const isUncertainInWindow = (range, lookback) => {
+  if (!isInWindow(range, lookback)) return false;
+  return range.start < lookback.from || (lookback.to !== null && range.end > lookback.to);
+};
+
+/**
+ * Describe the window for headings, e.g. "the last 10 days" or "2025-01-01 to 2025-01-31"
+ * @param {Object} lookback - Lookback window
+ * @returns {string} - Description
+ */
+const describeLookback = (lookback) => {
+  if (lookback.fromDate && lookback.toDate) return `${lookback.fromDate} to ${lookback.toDate}`;
+  if (lookback.fromDate) return `${lookback.fromDate} to today`;
+  if (lookback.toDate) return `the ${lookback.days} days up to ${lookback.toDate}`;
+  return `the last ${lookback.days} days`;
+};
+
+/**
+ * Number of whole days the window spans
+ * @param {Object} lookback - Lookback window
+ * @returns {number} - Length in days
+ */
+const getLookbackDays = (lookback) => {
+  return (lookback.to || lookback.today + 1) - lookback.from;
+};
+
+module.exports = {
+  createLookback,
+  isBeforeWindow,
+  isInWindow,
+  isUncertainInWindow,
+  describeLookback,
+  getLookbackDays
+};
\ No newline at end of file
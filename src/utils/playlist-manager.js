@@ -3,10 +3,29 @@
  * Handles creation and management of date-based release playlists
  */
 
+const { getToday, formatDayNumber } = require('./release-date');
+
+// Every generated description names the app, so generated playlists can be recognised after a rename
+const APP_NAME = 'Spotify Release Notifications';
+
 class PlaylistManager {
-  constructor(spotifyApi) {
+  constructor(spotifyApi, options = {}) {
     this.spotifyApi = spotifyApi;
-    this.playlistNamePattern = /^\d{4}-\d{2}-\d{2} Releases$/; // Match "YYYY-MM-DD Releases"
+    this.collaborative = options.collaborative === true;
+    this.description = options.description || null; // Overrides the generated description
+    this.dailyNameTemplate = options.dailyNameTemplate || '{date} Releases';
+    this.playlistNamePattern = this.createNamePattern(this.dailyNameTemplate); // e.g. "YYYY-MM-DD Releases"
+    this.timezone = options.timezone || null; // Timezone for today's date (default: the system timezone)
+  }
+
+  /**
+   * Build a regular expression matching names produced by a daily name template
+   * @param {string} template - Template containing {date}
+   * @returns {RegExp} Pattern matching generated names
+   */
+  createNamePattern(template) {
+    const escaped = template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace('\\{date\\}', '\\d{4}-\\d{2}-\\d{2}')}$`);
   }
 
   /**
@@ -15,28 +34,37 @@ class PlaylistManager {
    * @returns {string} Playlist name
    */
   createPlaylistName(date) {
-    return `${date} Releases`;
+    return this.dailyNameTemplate.replace(/\{date\}/g, date);
+  }
+
+  /**
+   * Create a playlist name from a template
+   * Supported placeholders: {date}, {count}
+   * @param {string} template - Name template, e.g. "{date} New Releases"
+   * @param {Array} releases - Releases going into the playlist
+   * @returns {string} Playlist name
+   */
+  createNameFromTemplate(template, releases) {
+    return template
+      .replace(/\{date\}/g, this.getTodayDate())
+      .replace(/\{count\}/g, String(releases.length));
   }
 
   /**
    * Get today's date in YYYY-MM-DD format
-   * @returns {string} Today's date
+   * @returns {string} Today's date in the configured timezone
    */
   getTodayDate() {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return formatDayNumber(getToday(this.timezone));
   }
 
   /**
-   * Find all existing date-based playlists created by this app
+   * Get all playlists the user owns or follows
    * @returns {Promise<Array>} Array of playlist objects
    */
-  async findExistingDatePlaylists() {
+  async getUserPlaylists() {
     try {
-      const datePlaylists = [];
+      const allPlaylists = [];
       let offset = 0;
       const limit = 50;
       let hasMore = true;
@@ -45,24 +73,50 @@ class PlaylistManager {
         const response = await this.spotifyApi.getUserPlaylists({ offset, limit });
         const playlists = response.body.items;
 
-        // Filter for our date-based playlist pattern
-        const matchingPlaylists = playlists.filter(playlist => 
-          this.playlistNamePattern.test(playlist.name)
-        );
-
-        datePlaylists.push(...matchingPlaylists);
+        allPlaylists.push(...playlists);
 
         hasMore = playlists.length === limit;
         offset += limit;
       }
 
-      return datePlaylists;
+      return allPlaylists;
+
+    } catch (error) {
+      throw new Error(`Failed to fetch playlists: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find all existing date-based playlists created by this app
+   * @returns {Promise<Array>} Array of playlist objects
+   */
+  async findExistingDatePlaylists() {
+    try {
+      const playlists = await this.getUserPlaylists();
+
+      // Filter for our date-based playlist pattern
+      return playlists.filter(playlist => this.playlistNamePattern.test(playlist.name));
 
     } catch (error) {
       throw new Error(`Failed to fetch existing playlists: ${error.message}`);
     }
   }
 
+  /**
+   * Check whether a playlist was created by this app
+   * Matches playlists recorded in the release history, daily playlist names and the generated descriptions
+   * @param {Object} playlist - Playlist object
+   * @param {Set} knownIds - IDs of playlists this app added releases to (optional)
+   * @returns {boolean} True if the playlist was generated
+   */
+  isGeneratedPlaylist(playlist, knownIds = new Set()) {
+    if (knownIds.has(playlist.id)) return true;
+    if (this.playlistNamePattern.test(playlist.name)) return true;
+
+    const description = playlist.description || '';
+    return description.includes(APP_NAME) || (this.description !== null && description === this.description);
+  }
+
   /**
    * Get all track IDs from existing date-based playlists
    * @returns {Promise<Set>} Set of track IDs to exclude
@@ -85,13 +139,13 @@ class PlaylistManager {
   }
 
   /**
-   * Get all track IDs from a specific playlist
+   * Get all tracks from a specific playlist, skipping local files and removed tracks
    * @param {string} playlistId - Spotify playlist ID
-   * @returns {Promise<Array>} Array of track IDs
+   * @returns {Promise<Array>} Array of track objects
    */
-  async getPlaylistTrackIds(playlistId) {
+  async getPlaylistTracks(playlistId) {
     try {
-      const trackIds = [];
+      const playlistTracks = [];
       let offset = 0;
       const limit = 100;
       let hasMore = true;
@@ -102,7 +156,7 @@ class PlaylistManager {
 
         tracks.forEach(item => {
           if (item.track && item.track.id) {
-            trackIds.push(item.track.id);
+            playlistTracks.push(item.track);
           }
         });
 
@@ -110,13 +164,23 @@ class PlaylistManager {
         offset += limit;
       }
 
-      return trackIds;
+      return playlistTracks;
 
     } catch (error) {
       throw new Error(`Failed to get playlist tracks for ${playlistId}: ${error.message}`);
     }
   }
 
+  /**
+   * Get all track IDs from a specific playlist
+   * @param {string} playlistId - Spotify playlist ID
+   * @returns {Promise<Array>} Array of track IDs
+   */
+  async getPlaylistTrackIds(playlistId) {
+    const tracks = await this.getPlaylistTracks(playlistId);
+    return tracks.map(track => track.id);
+  }
+
   /**
    * Find existing playlist for today's date
    * @param {string} date - Date in YYYY-MM-DD format
@@ -150,11 +214,12 @@ class PlaylistManager {
   async createDatePlaylist(date) {
     try {
       const playlistName = this.createPlaylistName(date);
-      const description = `New album and EP releases from ${date}. Generated automatically by Spotify Release Notifications.`;
+      const description = this.description || `New album and EP releases from ${date}. Generated automatically by Spotify Release Notifications.`;
 
       const response = await this.spotifyApi.createPlaylist(playlistName, {
         description: description,
-        public: false // Always private
+        public: false, // Always private
+        collaborative: this.collaborative
       });
 
       return response.body;
@@ -182,11 +247,6 @@ class PlaylistManager {
       for (let i = 0; i < trackUris.length; i += batchSize) {
         const batch = trackUris.slice(i, i + batchSize);
         await this.spotifyApi.addTracksToPlaylist(playlistId, batch);
-        
-        // Small delay between batches to respect rate limits
-        if (i + batchSize < trackUris.length) {
-          await this.delay(100);
-        }
       }
 
     } catch (error) {
@@ -212,11 +272,12 @@ class PlaylistManager {
       }
 
       // Create the playlist
-      const description = `Custom playlist created by Spotify Release Notifications. Contains ${tracks.length} selected tracks.`;
+      const description = this.description || `Custom playlist created by Spotify Release Notifications. Contains ${tracks.length} selected tracks.`;
       
       const response = await this.spotifyApi.createPlaylist(playlistName, {
         description: description,
-        public: false // Always private
+        public: false, // Always private
+        collaborative: this.collaborative
       });
 
       const playlist = response.body;
@@ -296,14 +357,6 @@ class PlaylistManager {
     }
   }
 
-  /**
-   * Simple delay utility
-   * @param {number} ms - Milliseconds to delay
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Get playlist statistics
    * @param {Array} datePlaylists - Array of date-based playlists
@@ -0,0 +1,90 @@
+/**
+ * Profile Module
+ * Keeps tokens, state and settings for each Spotify account in its own directory
+ * Profile settings are read by the config loader from settings.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./storage');
+
+const DEFAULT_PROFILE = 'default';
+
+class Profile {
+  constructor(name = DEFAULT_PROFILE) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid profile name "${name}". Use letters, numbers, "-" and "_" only`);
+    }
+
+    this.name = name;
+
+    // The default profile keeps using the data directory itself
+    this.dir = name === DEFAULT_PROFILE
+      ? getDataDir()
+      : path.join(getDataDir(), 'profiles', name);
+  }
+
+  /**
+   * Check whether this is the default profile
+   * @returns {boolean} True for the default profile
+   */
+  isDefault() {
+    return this.name === DEFAULT_PROFILE;
+  }
+
+  /**
+   * Get the path of a state file belonging to this profile
+   * @param {string} fileName - File name inside the profile directory
+   * @returns {string} Absolute file path
+   */
+  getPath(fileName) {
+    return path.join(this.dir, fileName);
+  }
+
+  /**
+   * Check whether this profile has logged in before
+   * @returns {boolean} True if tokens are stored for this profile
+   */
+  hasTokens() {
+    return fs.existsSync(this.getPath('tokens.json'));
+  }
+
+  /**
+   * List all profiles that have logged in
+   * @returns {Array} Array of Profile instances, default profile first
+   */
+  static listAll() {
+    const profiles = [];
+    const defaultProfile = new Profile(DEFAULT_PROFILE);
+
+    if (defaultProfile.hasTokens()) {
+      profiles.push(defaultProfile);
+    }
+
+    const profilesDir = path.join(getDataDir(), 'profiles');
+    if (!fs.existsSync(profilesDir)) {
+      return profiles;
+    }
+
+    fs.readdirSync(profilesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== DEFAULT_PROFILE)
+      .map(entry => entry.name)
+      .sort()
+      .forEach(name => {
+        try {
+          const profile = new Profile(name);
+          if (profile.hasTokens()) {
+            profiles.push(profile);
+          }
+        } catch (error) {
+          // Skip directories that are not valid profile names
+        }
+      });
+
+    return profiles;
+  }
+}
+
+Profile.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
+module.exports = Profile;
\ No newline at end of file
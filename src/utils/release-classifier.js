@@ -0,0 +1,74 @@
+/**
+ * Release Classifier
+ * Sorts releases into singles, EPs, albums, compilations and live recordings
+ */
+
+const DEFAULT_THRESHOLDS = {
+  epMinTracks: 4, // Fewer tracks is a single
+  albumMinTracks: 7, // This many tracks is an album
+  albumMinMinutes: 30 // A release this long is an album whatever its track count
+};
+
+const RELEASE_TYPES = ['single', 'ep', 'album', 'compilation', 'live'];
+
+const RELEASE_TYPE_ICONS = {
+  single: '🎵',
+  ep: '📀',
+  album: '💿',
+  compilation: '📼',
+  live: '🎤'
+};
+
+// "EP" as a whole word, so "Deep" does not match
+const EP_PATTERN = /\bEP\b/i;
+
+// "live" in a bracketed suffix ("(Live)"), a dashed suffix that is live wording up to the end of the title
+// ("- Live", "- Live 2019", "- Recorded Live at …") or a phrase such as "Live at Wembley"
+// Titles like "Live Forever" or "Song - Live Forever Mix" are left to the thresholds
+const LIVE_SUFFIX_PATTERN = /[([][^)\]]*\blive\b[^)\]]*[)\]]|\s-\s(recorded\s+)?live(\s+(at|from|in|on|version|recording|session|sessions|\d{4})\b.*)?$/i;
+const LIVE_PHRASE_PATTERN = /\blive\s+(at|from|in|on)\b/i;
+
+/**
+ * Check if a title marks a live recording
+ * @param {string} title - Release title
+ * @returns {boolean} - True for live suffixes and phrases
+ */
+const isLiveTitle = (title) => LIVE_SUFFIX_PATTERN.test(title) || LIVE_PHRASE_PATTERN.test(title);
+
+/**
+ * Classify a release
+ * Spotify's album type is only trusted for compilations; everything else is decided from the title,
+ * the total duration (when loaded) and the track count
+ * @param {Object} album - Release object
+ * @param {Object} thresholds - Overrides for epMinTracks, albumMinTracks and albumMinMinutes (optional)
+ * @returns {string} - 'single', 'ep', 'album', 'compilation' or 'live'
+ */
+const classifyRelease = (album, thresholds = {}) => {
+  const { epMinTracks, albumMinTracks, albumMinMinutes } = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const minutes = album.duration_ms ? album.duration_ms / 60000 : null;
+
+  if (album.album_type === 'compilation') return 'compilation';
+  if (isLiveTitle(album.name)) return 'live';
+  if (EP_PATTERN.test(album.name)) return 'ep';
+
+  if (album.total_tracks >= albumMinTracks || (minutes !== null && minutes >= albumMinMinutes)) return 'album';
+  if (album.total_tracks >= epMinTracks) return 'ep';
+
+  // Without a duration a short release labelled as an album by Spotify stays one
+  if (minutes === null && album.album_type === 'album') return 'album';
+  return 'single';
+};
+
+/**
+ * Get the icon for a release type
+ * @param {string} type - Release type from classifyRelease()
+ * @returns {string} - Emoji icon
+ */
+const getReleaseTypeIcon = (type) => RELEASE_TYPE_ICONS[type] || RELEASE_TYPE_ICONS.single;
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  RELEASE_TYPES,
+  classifyRelease,
+  getReleaseTypeIcon
+};
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Release Date Utilities
+ * Release dates are calendar days without a time, compared as day numbers (days since 1970-01-01)
+ * Year- and month-precision dates cover every day of their year or month instead of the 1st
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the day number of a calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month, 1-12 (overflow rolls into the next year)
+ * @param {number} day - Day of the month
+ * @returns {number} - Days since 1970-01-01
+ */
+const toDayNumber = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+
+/**
+ * Format a day number as YYYY-MM-DD
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} - Calendar date
+ */
+const formatDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Parse a YYYY-MM-DD string into a day number
+ * @param {string} dateString - Calendar date
+ * @returns {number} - Days since 1970-01-01
+ */
+const parseDayNumber = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(part => parseInt(part, 10));
+  return toDayNumber(year, month, day);
+};
+
+/**
+ * Check whether a string is a timezone name the runtime knows, e.g. "Europe/Berlin"
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True if the timezone can be used
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get today's calendar date in a timezone
+ * @param {string} timezone - IANA timezone name (default: the system timezone)
+ * @param {Date} now - Current time, for tests (default: now)
+ * @returns {number} - Day number of today
+ */
+const getToday = (timezone = null, now = new Date()) => {
+  const formatted = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone || undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(now);
+  return parseDayNumber(formatted);
+};
+
+/**
+ * Parse a Spotify release date into the range of days it may fall on
+ * @param {string} releaseDateString - Spotify release date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @param {string} precision - Spotify release_date_precision (default: inferred from the string)
+ * @returns {Object|null} - Object with start (first day), end (day after the last day) and precision, or null
+ */
+const parseReleaseDateRange = (releaseDateString, precision = null) => {
+  if (!releaseDateString) return null;
+
+  const parts = releaseDateString.split('-').map(part => parseInt(part, 10));
+  const [year, month = 1, day = 1] = parts;
+  const resolved = precision || ['year', 'month', 'day'][parts.length - 1];
+
+  if (resolved === 'year') {
+    return { start: toDayNumber(year, 1, 1), end: toDayNumber(year + 1, 1, 1), precision: 'year' };
+  }
+  if (resolved === 'month') {
+    return { start: toDayNumber(year, month, 1), end: toDayNumber(year, month + 1, 1), precision: 'month' };
+  }
+  const start = toDayNumber(year, month, day);
+  return { start, end: start + 1, precision: 'day' };
+};
+
+/**
+ * Get the release date range of an album
+ * @param {Object} album - Album object with release_date and release_date_precision
+ * @returns {Object|null} - Range from parseReleaseDateRange()
+ */
+const getReleaseDateRange = (album) => {
+  return parseReleaseDateRange(album.release_date, album.release_date_precision);
+};
+
+/**
+ * Check whether only the year or month of a release is known
+ * @param {Object} album - Album object with release_date and release_date_precision
+ * @returns {boolean} - True for year and month precision dates
+ */
+const isApproximateDate = (album) => {
+  const range = getReleaseDateRange(album);
+  return range !== null && range.precision !== 'day';
+};
+
+/**
+ * Format a release date for display, marking dates without a day with "~"
+ * @param {Object} album - Album object with release_date and release_date_precision
+ * @returns {string} - Date, e.g. "2025-03-14" or "2025-03 ~"
+ */
+const formatReleaseDate = (album) => {
+  if (!album.release_date) return '';
+  return isApproximateDate(album) ? `${album.release_date} ~` : album.release_date;
+};
+
+module.exports = {
+  DAY_MS,
+  toDayNumber,
+  formatDayNumber,
+  parseDayNumber,
+  isValidTimezone,
+  getToday,
+  parseReleaseDateRange,
+  getReleaseDateRange,
+  isApproximateDate,
+  formatReleaseDate
+};
\ No newline at end of file
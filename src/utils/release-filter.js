@@ -1,33 +1,161 @@
 /**
  * Release filtering utilities for Spotify albums
- * Filters releases to show only albums and EPs from the last 10 days
+ * Filters releases to the requested types and lookback window
  */
 
+const { createLookback, isInWindow, isUncertainInWindow } = require('./lookback');
+const { getReleaseDateRange, parseReleaseDateRange, getToday } = require('./release-date');
+const { classifyRelease } = require('./release-classifier');
+
+// Albums per getAlbums request
+const DETAILS_BATCH_SIZE = 20;
+
+/**
+ * Get the type of a release, as classified by filterReleases() or classified now
+ * @param {Object} album - Spotify album object
+ * @param {Object} thresholds - Classifier thresholds (optional)
+ * @returns {string} - 'single', 'ep', 'album', 'compilation' or 'live'
+ */
+const getReleaseType = (album, thresholds = {}) => {
+  return album.release_type || classifyRelease(album, thresholds);
+};
+
 /**
  * Check if an album should be considered an album or EP (not a single)
  * @param {Object} album - Spotify album object
- * @returns {boolean} - True if album or EP, false if single
+ * @returns {boolean} - True for albums, EPs and live albums, false for singles and compilations
  */
-const isAlbumOrEP = (album) => {
-  // Definitely an album
-  if (album.album_type === 'album') return true;
-  
-  // Potential EP detection for singles
-  if (album.album_type === 'single') {
-    // EP detection heuristics:
-    // 1. 4+ tracks typically indicates an EP
-    // 2. Contains "EP" in the name
-    return album.total_tracks >= 4 || 
-           album.name.toLowerCase().includes('ep');
+const isAlbumOrEP = (album) => ['album', 'ep', 'live'].includes(getReleaseType(album));
+
+/**
+ * Check if a release belongs to another artist and only features the tracked artist
+ * @param {Object} album - Release object from album retrieval
+ * @returns {boolean} - True for the appears_on group
+ */
+const isAppearance = (album) => album.album_group === 'appears_on';
+
+/**
+ * Describe the release group for display, e.g. "feature on Artist's album"
+ * @param {Object} album - Release object from album retrieval
+ * @returns {string|null} - Label, or null for the artist's own albums and singles
+ */
+const describeReleaseGroup = (album) => {
+  if (isAppearance(album)) {
+    if (album.album_type === 'compilation') return 'appears on compilation';
+    const owner = album.artists.length > 0 ? album.artists[0].name : 'another artist';
+    const type = getReleaseType(album);
+    return `feature on ${owner}'s ${type === 'live' ? 'live album' : type}`;
+  }
+  if (album.album_group === 'compilation') return 'compilation';
+  return null;
+};
+
+/**
+ * Get the tracked artists a release was found for
+ * @param {Object} album - Release object from album retrieval
+ * @returns {Array} - Artists with id, name and sources
+ */
+const getTrackedArtists = (album) => {
+  return album.tracked_artists || [{ id: album.artist_id, name: album.artist_name, sources: [] }];
+};
+
+/**
+ * Check if a release was found under more than one tracked artist
+ * @param {Object} album - Release object from album retrieval
+ * @returns {boolean} - True for collaborations between tracked artists
+ */
+const isCollaboration = (album) => getTrackedArtists(album).length > 1;
+
+/**
+ * Format the tracked artists of a release for display, e.g. "Artist A & Artist B"
+ * @param {Object} album - Release object from album retrieval
+ * @returns {string} - Artist names
+ */
+const formatTrackedArtists = (album) => {
+  return getTrackedArtists(album).map(artist => artist.name).join(' & ');
+};
+
+/**
+ * Merge releases that were found under several tracked artists into one entry
+ * The artist's own release is kept over an appearance, and every tracked artist it matched is listed with its sources
+ * @param {Array} albums - Albums from album retrieval, one per artist they were found for
+ * @param {Array} artists - Tracked artists with their sources (optional)
+ * @returns {Array} - One entry per release, with tracked_artists
+ */
+const mergeCollaborations = (albums, artists = []) => {
+  const sourcesById = new Map(artists.map(artist => [artist.id, artist.sources || []]));
+  const merged = new Map();
+
+  albums.forEach(album => {
+    const trackedArtist = {
+      id: album.artist_id,
+      name: album.artist_name,
+      sources: sourcesById.get(album.artist_id) || []
+    };
+    const existing = merged.get(album.id);
+
+    if (!existing) {
+      merged.set(album.id, { ...album, tracked_artists: [trackedArtist] });
+      return;
+    }
+
+    if (existing.tracked_artists.some(artist => artist.id === trackedArtist.id)) {
+      return;
+    }
+
+    if (isAppearance(existing) && !isAppearance(album)) {
+      // Keep the owner's entry so the release is not labelled as a feature
+      merged.set(album.id, { ...album, tracked_artists: [trackedArtist, ...existing.tracked_artists] });
+    } else {
+      existing.tracked_artists.push(trackedArtist);
+    }
+  });
+
+  return Array.from(merged.values());
+};
+
+/**
+ * Filter releases to the given types
+ * @param {Array} albums - Array of Spotify album objects
+ * @param {Array} types - Release types to keep ('single', 'ep', 'album', 'compilation', 'live')
+ * @param {Object} thresholds - Classifier thresholds (optional)
+ * @returns {Array} - Releases of the requested types
+ */
+const filterByTypes = (albums, types, thresholds = {}) => {
+  return albums.filter(album => types.includes(getReleaseType(album, thresholds)));
+};
+
+/**
+ * Load the total duration, explicit flag and market availability of releases from the full album objects
+ * Missing details only make classification and edition preference less exact, so failures are reported and skipped
+ * @param {Object} spotifyApi - Spotify API instance
+ * @param {Array} releases - Release objects to update with duration_ms, explicit and playable
+ * @param {string} market - Market used for availability
+ */
+const loadAlbumDetails = async (spotifyApi, releases, market) => {
+  for (let i = 0; i < releases.length; i += DETAILS_BATCH_SIZE) {
+    const batch = releases.slice(i, i + DETAILS_BATCH_SIZE);
+
+    try {
+      const response = await spotifyApi.getAlbums(batch.map(release => release.id), { market });
+
+      response.body.albums.forEach((album, index) => {
+        if (!album) return;
+        const tracks = album.tracks ? album.tracks.items : [];
+        batch[index].duration_ms = tracks.reduce((total, track) => total + (track.duration_ms || 0), 0) || null;
+        batch[index].explicit = tracks.some(track => track.explicit);
+        batch[index].playable = tracks.length === 0 || tracks.some(track => track.is_playable !== false);
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not load album details: ${error.message}`);
+    }
   }
-  
-  // Exclude compilations and other types
-  return false;
 };
 
 /**
  * Parse a Spotify release date string into a Date object
  * Handles various precision levels: YYYY, YYYY-MM, YYYY-MM-DD
+ * Year and month precision give the first possible day, compare with getReleaseDateRange() instead
  * @param {string} releaseDateString - Spotify release date
  * @returns {Date} - Parsed date object
  */
@@ -49,60 +177,97 @@ const parseReleaseDate = (releaseDateString) => {
  * @returns {boolean} - True if release is recent
  */
 const isRecentRelease = (album, daysBack = 10) => {
-  const releaseDate = parseReleaseDate(album.release_date);
-  if (!releaseDate) return false;
-  
-  const now = new Date();
-  const cutoffDate = new Date(now.getTime() - (daysBack * 24 * 60 * 60 * 1000));
-  
-  return releaseDate >= cutoffDate;
+  return isInLookback(album, createLookback({ days: daysBack }));
 };
 
 /**
  * Sort albums by release date (newest first)
+ * Year and month precision dates sort by their first possible day
  * @param {Object} a - First album to compare
  * @param {Object} b - Second album to compare
  * @returns {number} - Sort comparison result
  */
 const sortByReleaseDate = (a, b) => {
-  const dateA = parseReleaseDate(a.release_date);
-  const dateB = parseReleaseDate(b.release_date);
+  const rangeA = getReleaseDateRange(a);
+  const rangeB = getReleaseDateRange(b);
   
-  if (!dateA && !dateB) return 0;
-  if (!dateA) return 1;
-  if (!dateB) return -1;
+  if (!rangeA && !rangeB) return 0;
+  if (!rangeA) return 1;
+  if (!rangeB) return -1;
   
-  return dateB.getTime() - dateA.getTime(); // Newest first
+  return rangeB.start - rangeA.start; // Newest first
 };
 
 /**
- * Filter and sort albums to show only recent albums and EPs
+ * Check if a release may fall inside a lookback window
+ * A year or month precision date counts when any day of it is inside the window
+ * @param {Object} album - Spotify album object
+ * @param {Object} lookback - Window from createLookback()
+ * @returns {boolean} - True if the release is inside the window
+ */
+const isInLookback = (album, lookback) => {
+  return isInWindow(getReleaseDateRange(album), lookback);
+};
+
+/**
+ * Filter and sort albums to the recent releases of the requested types
+ * Every returned album carries its classified `release_type`, and `date_uncertain` when only
+ * the year or month is known and that period reaches outside the window
  * @param {Array} albums - Array of Spotify album objects
  * @param {Object} options - Filtering options
- * @param {number} options.daysBack - Number of days to look back (default: 10)
+ * @param {Object} options.lookback - Window from createLookback() (default: the last daysBack days)
+ * @param {number} options.daysBack - Number of days to look back when no window is given (default: 10)
+ * @param {Array} options.types - Release types to keep (default: everything except singles)
+ * @param {Object} options.thresholds - Classifier thresholds (optional)
  * @returns {Array} - Filtered and sorted albums
  */
 const filterReleases = (albums, options = {}) => {
-  const { daysBack = 10 } = options;
+  const { daysBack = 10, types = ['album', 'ep', 'compilation', 'live'], thresholds = {} } = options;
+  const lookback = options.lookback || createLookback({ days: daysBack });
   
   return albums
-    .filter(album => isAlbumOrEP(album))
-    .filter(album => isRecentRelease(album, daysBack))
+    .filter(album => isInLookback(album, lookback))
+    .map(album => ({
+      ...album,
+      release_type: classifyRelease(album, thresholds),
+      date_uncertain: isUncertainInWindow(getReleaseDateRange(album), lookback)
+    }))
+    .filter(album => types.includes(album.release_type))
     .sort(sortByReleaseDate);
 };
 
 /**
- * Calculate days since release
+ * Mark releases already recorded in the history and optionally hide them
+ * A collapsed release counts as seen when any of its editions was seen
+ * @param {Array} albums - Array of Spotify album objects
+ * @param {ReleaseHistory} history - Loaded release history
+ * @param {Object} options - History options
+ * @param {boolean} options.hideSeen - Drop seen releases instead of marking them
+ * @param {string} options.since - Only count releases first seen at or before this ISO timestamp as seen
+ * @returns {Array} - Copies of the albums with a `seen` flag
+ */
+const applyHistory = (albums, history, options = {}) => {
+  const { hideSeen = false, since = null } = options;
+
+  return albums
+    .map(album => ({
+      ...album,
+      seen: (album.editions || [album]).some(edition => history.isSeen(edition.id, since))
+    }))
+    .filter(album => !hideSeen || !album.seen);
+};
+
+/**
+ * Calculate days since release, counted from the first possible day for year and month precision
  * @param {string} releaseDateString - Spotify release date
+ * @param {string} timezone - IANA timezone that decides what "today" is (default: the system timezone)
  * @returns {number} - Days since release
  */
-const daysSinceRelease = (releaseDateString) => {
-  const releaseDate = parseReleaseDate(releaseDateString);
-  if (!releaseDate) return null;
+const daysSinceRelease = (releaseDateString, timezone = null) => {
+  const range = parseReleaseDateRange(releaseDateString);
+  if (!range) return null;
   
-  const now = new Date();
-  const diffTime = now.getTime() - releaseDate.getTime();
-  return Math.floor(diffTime / (1000 * 60 * 60 * 24));
+  return getToday(timezone) - range.start;
 };
 
 /**
@@ -116,6 +281,7 @@ const filterAlbumsAndEPs = (albums) => {
 
 /**
  * Extract all tracks from a release using the Spotify API
+ * For appearances only the tracks crediting the tracked artist are kept
  * @param {Object} spotifyApi - Spotify API instance
  * @param {Object} release - Album/EP object
  * @returns {Promise<Array>} - Array of track objects with id, uri, name, and album info
@@ -132,7 +298,9 @@ const extractAllTracks = async (spotifyApi, release) => {
       const albumTracks = response.body.items;
 
       albumTracks.forEach(track => {
-        if (track.id && track.uri) {
+        const credited = !isAppearance(release) ||
+          track.artists.some(artist => getTrackedArtists(release).some(tracked => tracked.id === artist.id));
+        if (track.id && track.uri && credited) {
           tracks.push({
             id: track.id,
             uri: track.uri,
@@ -177,11 +345,6 @@ const extractAllTracksFromReleases = async (spotifyApi, releases) => {
   for (const release of releases) {
     const tracks = await extractAllTracks(spotifyApi, release);
     allTracks.push(...tracks);
-    
-    // Small delay to respect rate limits
-    if (releases.indexOf(release) < releases.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
   }
 
   return allTracks;
@@ -229,10 +392,21 @@ const getPlaylistReadyTracks = async (spotifyApi, albums, options = {}) => {
 
 module.exports = {
   isAlbumOrEP,
+  getReleaseType,
+  isAppearance,
+  describeReleaseGroup,
+  getTrackedArtists,
+  isCollaboration,
+  formatTrackedArtists,
+  mergeCollaborations,
+  filterByTypes,
+  loadAlbumDetails,
   parseReleaseDate,
   isRecentRelease,
+  isInLookback,
   sortByReleaseDate,
   filterReleases,
+  applyHistory,
   daysSinceRelease,
   filterAlbumsAndEPs,
   extractAllTracks,
@@ -0,0 +1,143 @@
+/**
+ * Release History Module
+ * Remembers which releases have been shown, selected or added to a playlist
+ * so later runs can hide or mark them
+ */
+
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile } = require('./storage');
+
+// Entries that have not been shown for this long are dropped on save
+const RETENTION_DAYS = 365;
+
+class ReleaseHistory {
+  constructor(filePath = path.join(getDataDir(), 'history.json')) {
+    this.filePath = filePath;
+    this.releases = {};
+    this.lastScanAt = null;
+  }
+
+  /**
+   * Load the stored history
+   * @returns {ReleaseHistory} This instance, for chaining
+   */
+  load() {
+    const data = readJsonFile(this.filePath, {});
+    this.releases = data.releases || {};
+    this.lastScanAt = data.lastScanAt || null;
+    return this;
+  }
+
+  /**
+   * Save the history, dropping entries older than the retention period
+   */
+  save() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    Object.keys(this.releases).forEach(id => {
+      if (this.releases[id].lastShownAt < cutoff) {
+        delete this.releases[id];
+      }
+    });
+
+    writeJsonFile(this.filePath, {
+      version: 1,
+      lastScanAt: this.lastScanAt,
+      releases: this.releases
+    });
+  }
+
+  /**
+   * Get or create the entry for a release
+   * @param {Object} release - Release object
+   * @param {string} timestamp - ISO timestamp used when the entry is new
+   * @returns {Object} History entry
+   */
+  getEntry(release, timestamp) {
+    if (!this.releases[release.id]) {
+      this.releases[release.id] = {
+        name: release.name,
+        artist: release.artist_name,
+        releaseDate: release.release_date,
+        firstSeenAt: timestamp,
+        lastShownAt: timestamp,
+        selectedAt: null,
+        addedAt: null,
+        playlistIds: []
+      };
+    }
+    return this.releases[release.id];
+  }
+
+  /**
+   * Check whether a release has been shown before
+   * @param {string} releaseId - Spotify album ID
+   * @param {string} before - Only count releases first seen at or before this ISO timestamp (optional)
+   * @returns {boolean} True if the release was seen
+   */
+  isSeen(releaseId, before = null) {
+    const entry = this.releases[releaseId];
+    if (!entry) return false;
+    return !before || entry.firstSeenAt <= before;
+  }
+
+  /**
+   * Record that releases were shown to the user
+   * @param {Array} releases - Releases that were listed
+   * @param {string} timestamp - ISO timestamp (default: now)
+   */
+  markShown(releases, timestamp = new Date().toISOString()) {
+    releases.forEach(release => {
+      this.getEntry(release, timestamp).lastShownAt = timestamp;
+    });
+  }
+
+  /**
+   * Record that releases were picked in the interactive selector
+   * @param {Array} releases - Selected releases
+   * @param {string} timestamp - ISO timestamp (default: now)
+   */
+  markSelected(releases, timestamp = new Date().toISOString()) {
+    releases.forEach(release => {
+      this.getEntry(release, timestamp).selectedAt = timestamp;
+    });
+  }
+
+  /**
+   * Record that releases were added to a playlist
+   * @param {Array} releases - Releases whose tracks were added
+   * @param {string} playlistId - Spotify playlist ID
+   * @param {string} timestamp - ISO timestamp (default: now)
+   */
+  markAdded(releases, playlistId, timestamp = new Date().toISOString()) {
+    releases.forEach(release => {
+      const entry = this.getEntry(release, timestamp);
+      entry.addedAt = timestamp;
+      if (playlistId && !entry.playlistIds.includes(playlistId)) {
+        entry.playlistIds.push(playlistId);
+      }
+    });
+  }
+
+  /**
+   * Get the IDs of every playlist releases were added to
+   * @returns {Set} Playlist IDs
+   */
+  getPlaylistIds() {
+    const playlistIds = new Set();
+    Object.values(this.releases).forEach(entry => {
+      (entry.playlistIds || []).forEach(playlistId => playlistIds.add(playlistId));
+    });
+    return playlistIds;
+  }
+
+  /**
+   * Record a scan that finished without errors
+   * @param {string} timestamp - ISO timestamp (default: now)
+   */
+  recordScan(timestamp = new Date().toISOString()) {
+    this.lastScanAt = timestamp;
+  }
+}
+
+module.exports = ReleaseHistory;
\ No newline at end of file
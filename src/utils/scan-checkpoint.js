@@ -0,0 +1,106 @@
+/**
+ * Scan Checkpoint Module
+ * Saves the albums of every finished artist while a scan runs so an interrupted scan can be resumed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile, deleteFile } = require('./storage');
+
+// Minimum time between checkpoint writes while a scan is running
+const FLUSH_INTERVAL_MS = 2000;
+
+class ScanCheckpoint {
+  /**
+   * @param {string} filePath - Checkpoint file
+   * @param {Object} signature - Scan settings a checkpoint must match to be resumed
+   */
+  constructor(filePath = path.join(getDataDir(), 'scan-checkpoint.json'), signature = {}) {
+    this.filePath = filePath;
+    this.signature = signature;
+    this.artists = {};
+    this.startedAt = new Date().toISOString();
+    this.dirty = false;
+    this.lastFlush = 0;
+  }
+
+  /**
+   * Check whether an unfinished scan was saved
+   * @returns {boolean} True if a checkpoint file exists
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Load a saved checkpoint to resume it
+   * @returns {Object} Object with resumed (artist count) and mismatch (saved with other settings)
+   */
+  load() {
+    const data = readJsonFile(this.filePath);
+
+    if (!data) {
+      return { resumed: 0, mismatch: false };
+    }
+
+    if (JSON.stringify(data.signature) !== JSON.stringify(this.signature)) {
+      return { resumed: 0, mismatch: true };
+    }
+
+    this.artists = data.artists || {};
+    this.startedAt = data.startedAt || this.startedAt;
+    return { resumed: Object.keys(this.artists).length, mismatch: false };
+  }
+
+  /**
+   * Get the saved albums of a finished artist
+   * @param {string} artistId - Spotify artist ID
+   * @returns {Array|null} Saved albums, or null if the artist still has to be fetched
+   */
+  get(artistId) {
+    return this.artists[artistId] || null;
+  }
+
+  /**
+   * Record a finished artist, writing the checkpoint at most every few seconds
+   * @param {string} artistId - Spotify artist ID
+   * @param {Array} albums - Albums found for the artist
+   */
+  record(artistId, albums) {
+    this.artists[artistId] = albums;
+    this.dirty = true;
+
+    if (Date.now() - this.lastFlush >= FLUSH_INTERVAL_MS) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write pending changes to disk
+   */
+  flush() {
+    if (!this.dirty) return;
+
+    writeJsonFile(this.filePath, {
+      version: 1,
+      signature: this.signature,
+      startedAt: this.startedAt,
+      updatedAt: new Date().toISOString(),
+      artists: this.artists
+    });
+
+    this.dirty = false;
+    this.lastFlush = Date.now();
+  }
+
+  /**
+   * Remove the checkpoint after a complete scan
+   */
+  clear() {
+    this.artists = {};
+    this.dirty = false;
+    deleteFile(this.filePath);
+  }
+}
+
+module.exports = ScanCheckpoint;
\ No newline at end of file
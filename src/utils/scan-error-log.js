@@ -0,0 +1,47 @@
+/**
+ * Scan Error Log
+ * Writes the failures of the last scan as JSON so they can be inspected or re-scanned
+ */
+
+const { readJsonFile, writeJsonFile, deleteFile } = require('./storage');
+
+/**
+ * Save the failures of a scan, or remove the log when there were none
+ * @param {string} filePath - Log file path
+ * @param {Array} failures - Failure records for artists whose albums could not be fetched
+ * @param {Array} searchFailures - Failure records for search lookups that fell back to the album listing
+ * @returns {boolean} - True if a log was written
+ */
+const writeErrorLog = (filePath, failures, searchFailures = []) => {
+  if (failures.length === 0 && searchFailures.length === 0) {
+    deleteFile(filePath);
+    return false;
+  }
+
+  writeJsonFile(filePath, {
+    version: 1,
+    createdAt: new Date().toISOString(),
+    failures,
+    searchFailures
+  });
+  return true;
+};
+
+/**
+ * Read the artists that failed in the last scan
+ * @param {string} filePath - Log file path
+ * @returns {Array} - Artist objects with id and name
+ */
+const readFailedArtists = (filePath) => {
+  const log = readJsonFile(filePath, { failures: [] });
+
+  return log.failures.map(failure => ({
+    id: failure.artistId,
+    name: failure.artistName
+  }));
+};
+
+module.exports = {
+  writeErrorLog,
+  readFailedArtists
+};
\ No newline at end of file
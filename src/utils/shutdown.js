@@ -0,0 +1,38 @@
+/**
+ * Shutdown Hooks
+ * Lets long-running work save its state when the process is interrupted
+ */
+
+const hooks = new Set();
+
+/**
+ * Register a synchronous function to run before the process exits on SIGINT
+ * @param {Function} hook - Function to run
+ * @returns {Function} - Call to remove the hook again
+ */
+const onShutdown = (hook) => {
+  hooks.add(hook);
+  return () => hooks.delete(hook);
+};
+
+/**
+ * Run and remove every registered hook
+ * Errors are reported but do not stop the remaining hooks
+ */
+const runShutdownHooks = () => {
+  const pending = Array.from(hooks);
+  hooks.clear();
+
+  pending.forEach(hook => {
+    try {
+      hook();
+    } catch (error) {
+      console.error(`⚠️  Could not save state: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  onShutdown,
+  runShutdownHooks
+};
\ No newline at end of file
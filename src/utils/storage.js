@@ -0,0 +1,75 @@
+/**
+ * Local Storage Utilities
+ * Resolves the per-user data directory and reads/writes JSON state files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const APP_DIR_NAME = 'spotify-release-notifications';
+
+/**
+ * Get the directory used for tokens and other local state
+ * Honors SPOTIFY_RELEASE_DATA_DIR, then XDG_DATA_HOME, then ~/.local/share
+ * @returns {string} - Absolute path of the data directory
+ */
+const getDataDir = () => {
+  if (process.env.SPOTIFY_RELEASE_DATA_DIR) {
+    return path.resolve(process.env.SPOTIFY_RELEASE_DATA_DIR);
+  }
+
+  const baseDir = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return path.join(baseDir, APP_DIR_NAME);
+};
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Path of the file to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} - Parsed file contents or the fallback
+ */
+const readJsonFile = (filePath, fallback = null) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`Failed to read ${filePath}: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Write data to a JSON file, readable only by the current user
+ * The file is written to a temporary path first so a crash never leaves it half-written
+ * @param {string} filePath - Path of the file to write
+ * @param {*} data - JSON-serializable data
+ */
+const writeJsonFile = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Delete a file if it exists
+ * @param {string} filePath - Path of the file to delete
+ * @returns {boolean} - True if a file was deleted
+ */
+const deleteFile = (filePath) => {
+  try {
+    fs.unlinkSync(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw new Error(`Failed to delete ${filePath}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  getDataDir,
+  readJsonFile,
+  writeJsonFile,
+  deleteFile
+};
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * Watchlist Module
+ * Stores artists to track even though they are not followed or in the library
+ * Entries are { id, name } objects; hand-edited files may also list artist IDs, Spotify URLs or names as strings
+ */
+
+const path = require('path');
+const { getDataDir, readJsonFile, writeJsonFile } = require('./storage');
+
+// Spotify IDs are 22 base62 characters
+const ARTIST_ID_PATTERN = /^[0-9A-Za-z]{22}$/;
+const ARTIST_URL_PATTERN = /open\.spotify\.com\/(?:[\w-]+\/)?artist\/([0-9A-Za-z]{22})/;
+const ARTIST_URI_PATTERN = /^spotify:artist:([0-9A-Za-z]{22})$/;
+
+class Watchlist {
+  constructor(filePath = path.join(getDataDir(), 'watchlist.json')) {
+    this.filePath = filePath;
+    this.entries = [];
+  }
+
+  /**
+   * Load the stored watchlist
+   * A file holding a plain array is read as the list of entries
+   * @returns {Watchlist} This instance, for chaining
+   */
+  load() {
+    const data = readJsonFile(this.filePath, {});
+    const entries = Array.isArray(data) ? data : (data.artists || []);
+
+    entries.forEach(entry => {
+      if (typeof entry !== 'string' && !(entry && typeof entry.id === 'string')) {
+        throw new Error(`Invalid watchlist entry in ${this.filePath}: ${JSON.stringify(entry)}`);
+      }
+    });
+
+    this.entries = entries;
+    return this;
+  }
+
+  /**
+   * Save the watchlist
+   */
+  save() {
+    writeJsonFile(this.filePath, {
+      version: 1,
+      artists: this.entries
+    });
+  }
+
+  /**
+   * Get all entries
+   * @returns {Array} { id, name, addedAt } objects and unresolved strings
+   */
+  getEntries() {
+    return this.entries;
+  }
+
+  /**
+   * Check whether an artist is on the watchlist
+   * @param {string} artistId - Spotify artist ID
+   * @returns {boolean} True if the artist is listed
+   */
+  has(artistId) {
+    return this.entries.some(entry => Watchlist.getEntryId(entry) === artistId);
+  }
+
+  /**
+   * Add an artist
+   * @param {Object} artist - Artist with id and name
+   * @param {string} timestamp - ISO timestamp (default: now)
+   * @returns {boolean} False if the artist was already listed
+   */
+  add(artist, timestamp = new Date().toISOString()) {
+    if (this.has(artist.id)) return false;
+
+    this.entries.push({ id: artist.id, name: artist.name, addedAt: timestamp });
+    return true;
+  }
+
+  /**
+   * Remove entries matching an artist ID, Spotify URL or name (case-insensitive)
+   * @param {string} reference - What the user typed
+   * @returns {Array} Removed entries
+   */
+  remove(reference) {
+    const artistId = Watchlist.parseArtistId(reference);
+    const name = reference.trim().toLowerCase();
+
+    const matches = (entry) => {
+      const entryId = Watchlist.getEntryId(entry);
+      if (artistId) return entryId === artistId;
+      const entryName = typeof entry === 'string' ? entry : entry.name;
+      return (entryName || '').trim().toLowerCase() === name;
+    };
+
+    const removed = this.entries.filter(matches);
+    this.entries = this.entries.filter(entry => !matches(entry));
+    return removed;
+  }
+
+  /**
+   * Get the artist ID of an entry
+   * @param {Object|string} entry - Watchlist entry
+   * @returns {string|null} Artist ID, or null for a name that still needs a search
+   */
+  static getEntryId(entry) {
+    return typeof entry === 'string' ? Watchlist.parseArtistId(entry) : entry.id;
+  }
+
+  /**
+   * Read an artist ID from an ID, a spotify:artist: URI or an open.spotify.com URL
+   * @param {string} reference - Artist reference
+   * @returns {string|null} Artist ID, or null if the reference is a name
+   */
+  static parseArtistId(reference) {
+    const trimmed = reference.trim();
+    if (ARTIST_ID_PATTERN.test(trimmed)) return trimmed;
+
+    const match = trimmed.match(ARTIST_URI_PATTERN) || trimmed.match(ARTIST_URL_PATTERN);
+    return match ? match[1] : null;
+  }
+}
+
+module.exports = Watchlist;
\ No newline at end of file
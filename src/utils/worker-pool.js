@@ -0,0 +1,43 @@
+/**
+ * Worker Pool Utilities
+ * Runs async work over a list with bounded concurrency
+ */
+
+/**
+ * Run a worker for every item with at most `concurrency` workers in flight
+ * Results keep the order of the input, whatever order the work finishes in.
+ * After the first error no new items are started; running ones finish before it is rethrown
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in input order
+ */
+const runWorkerPool = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (failure === null && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  if (failure) {
+    throw failure;
+  }
+
+  return results;
+};
+
+module.exports = {
+  runWorkerPool
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeTitle } = require('../src/utils/edition-grouping');
+
+test('edition suffixes are dropped', () => {
+  assert.strictEqual(normalizeTitle('Hits (Deluxe Edition)'), 'hits');
+  assert.strictEqual(normalizeTitle('Hits - Remastered 2011'), 'hits');
+  assert.strictEqual(normalizeTitle('Hits (Special Edition)'), 'hits');
+  assert.strictEqual(normalizeTitle("Hits (Collector's Edition)"), 'hits');
+  assert.strictEqual(normalizeTitle('Hits (Japan Version)'), 'hits');
+});
+
+test('live and tour editions stay separate records', () => {
+  assert.strictEqual(normalizeTitle('Hits - Live Edition'), 'hits live edition');
+  assert.strictEqual(normalizeTitle('Hits (Tour Edition)'), 'hits tour edition');
+  assert.strictEqual(normalizeTitle('Hits (Deluxe Live Edition)'), 'hits deluxe live edition');
+});
+
+test('other suffixes are kept', () => {
+  assert.strictEqual(normalizeTitle('Hits (Acoustic Version)'), 'hits acoustic version');
+  assert.strictEqual(normalizeTitle('Hits - UK Garage Mix'), 'hits uk garage mix');
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RateLimiter = require('../src/spotify/rate-limiter');
+
+test('pause leaves the bucket empty when the pause ends', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 10 });
+
+  limiter.pause(5000);
+  limiter.refill(limiter.pausedUntil);
+
+  assert.strictEqual(limiter.tokens, 0);
+});
+
+test('tokens are earned at the sustained rate after a pause', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 10 });
+
+  limiter.pause(5000);
+  limiter.refill(limiter.pausedUntil + 200);
+
+  assert.strictEqual(limiter.tokens, 2);
+});
+
+test('a shorter pause does not cut a longer one short', () => {
+  const limiter = new RateLimiter();
+
+  limiter.pause(5000);
+  const pausedUntil = limiter.pausedUntil;
+  limiter.pause(1000);
+
+  assert.strictEqual(limiter.pausedUntil, pausedUntil);
+});
\ No newline at end of file
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyRelease } = require('../src/utils/release-classifier');
+
+const release = (name, albumType = 'album', totalTracks = 12) => ({ name, album_type: albumType, total_tracks: totalTracks });
+
+test('live suffixes and phrases make a live release', () => {
+  [
+    'Hits (Live)',
+    'Hits [Live at the BBC]',
+    'Hits - Live',
+    'Hits - Live 2019',
+    'Hits - Recorded Live at Wembley',
+    'Live at Wembley'
+  ].forEach(name => {
+    assert.strictEqual(classifyRelease(release(name)), 'live', name);
+  });
+});
+
+test('titles that only contain the word live are left to the thresholds', () => {
+  assert.strictEqual(classifyRelease(release('Live Forever')), 'album');
+  assert.strictEqual(classifyRelease(release('Song - Live Forever Mix', 'single', 1)), 'single');
+  assert.strictEqual(classifyRelease(release('Album - We Live Here (Remastered)')), 'album');
+});
\ No newline at end of file
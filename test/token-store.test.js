@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../src/auth/token-store');
+
+test('a half-written token file is removed and loads as no tokens', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'warn', () => {});
+
+  const filePath = path.join(dir, 'tokens.json');
+  fs.writeFileSync(filePath, '{"accessToken":"a","refr');
+
+  assert.strictEqual(new TokenStore(filePath).load(), null);
+  assert.strictEqual(fs.existsSync(filePath), false);
+});
+
+test('stored tokens are loaded', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = new TokenStore(path.join(dir, 'tokens.json'));
+  store.save({ accessToken: 'a', refreshToken: 'r', expiresAt: 1000, scopes: ['user-follow-read'] });
+
+  assert.deepStrictEqual(store.load(), {
+    accessToken: 'a',
+    refreshToken: 'r',
+    expiresAt: 1000,
+    scopes: ['user-follow-read']
+  });
+});
\ No newline at end of file